@@ -0,0 +1,126 @@
+// Extension extraction pipeline under jsdom
+// Loads the extension's own scripts (the ones offscreen.html uses for fetched links, plus the
+// frontmatter and filename code from the background service) into one jsdom window, then
+// converts HTML the way a "Save linked page" capture does: parsed without running its
+// scripts, extracted by PageExtractor and written out by MarkdownDocument
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+// Same order as offscreen.html and background.js; the libraries are the packages the
+// extension's libs/ builds come from
+const LIBRARIES = [
+  require.resolve('defuddle'),
+  require.resolve('turndown/lib/turndown.browser.umd.js')
+];
+const SCRIPTS = [
+  'markdown-converter.js', 'image-resolver.js', 'rich-content.js', 'site-rules.js', 'heading-outline.js',
+  'extraction-quality.js', 'page-extractor.js', 'settings.js', 'yaml-emitter.js', 'template-renderer.js',
+  'text-stats.js', 'markdown-chunker.js', 'reference-links.js', 'markdown-document.js'
+];
+// "Save page as" in Chrome marks the file with where it came from
+const SAVED_FROM = /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i;
+// jsdom's selector engine rejects comments, which browsers ignore; Defuddle's math cleanup
+// selector has some, and the error made it give up and return the whole body. They are taken
+// out of the selector strings in the library code and of site rules before anything runs
+const CSS_COMMENT = /\/\*[\s\S]*?\*\//g;
+const SELECTOR_CALL = /((?:querySelector|querySelectorAll|matches|closest)\(\s*)(['"`])((?:\\.|(?!\2)[^\\])*)\2/g;
+const RULE_SELECTORS = ['content', 'title', 'author', 'published'];
+
+class HeadlessPipeline {
+  constructor({ settings = {}, rules = [], verbose = false } = {}) {
+    // Extraction logs its progress to the console; only warnings and errors are passed on,
+    // to stderr, since stdout carries the Markdown
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('warn', (...args) => console.error(...args));
+    virtualConsole.on('error', (...args) => console.error(...args));
+    if (verbose) virtualConsole.on('log', (...args) => console.error(...args));
+
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+      runScripts: 'outside-only',
+      virtualConsole
+    });
+    this.window = dom.window;
+
+    // Run as scripts (not eval) so their classes and constants share one global scope, as
+    // with <script> tags
+    this.context = dom.getInternalVMContext();
+    LIBRARIES.forEach(file => this.run(HeadlessPipeline.withoutSelectorComments(fs.readFileSync(file, 'utf8')), file));
+    SCRIPTS.forEach(file => this.run(fs.readFileSync(path.join(SRC_DIR, file), 'utf8'), file));
+
+    this.PageExtractor = this.global('PageExtractor');
+    this.MarkdownDocument = this.global('MarkdownDocument');
+    this.SiteRules = this.global('SiteRules');
+    this.settings = { ...this.global('DEFAULT_SETTINGS'), ...settings };
+    this.rules = rules.map(HeadlessPipeline.withoutRuleComments);
+  }
+
+  run(code, filename) {
+    return new vm.Script(code, { filename }).runInContext(this.context);
+  }
+
+  global(name) {
+    // A class or constant of the loaded scripts, e.g. for tests of a single module
+    return this.run(name, 'headless.js');
+  }
+
+  parseRules(json) {
+    // Site rules as exported from the options page; throws with every problem found
+    const { rules, errors } = this.SiteRules.parse(json);
+    if (errors.length > 0) {
+      throw new Error(`Invalid site rules:\n${errors.map(error => `  ${error}`).join('\n')}`);
+    }
+    return rules;
+  }
+
+  extract(html, url) {
+    const doc = this.PageExtractor.parseHtml(html, url);
+    return new this.PageExtractor(doc, url).extractPageContent(this.SiteRules.find(this.rules, url));
+  }
+
+  convert(html, url, capturedAt = null) {
+    // The capture payload, the note's path under the filename template, and the note itself.
+    // A fixed capture time (ISO date) makes the output the same on every run
+    const now = capturedAt ? new this.window.Date(capturedAt) : new this.window.Date();
+    if (isNaN(now.getTime())) {
+      throw new Error(`Invalid capture time: ${capturedAt}`);
+    }
+
+    const extracted = { ...this.extract(html, url), timestamp: now.toISOString() };
+    const data = this.MarkdownDocument.prepare(extracted, this.settings);
+    return {
+      data,
+      filename: this.MarkdownDocument.filename(data, this.settings, now),
+      content: this.MarkdownDocument.create(data, this.settings, now)
+    };
+  }
+
+  close() {
+    this.window.close();
+  }
+
+  static withoutSelectorComments(code) {
+    // Only string literals passed straight to a selector method are touched
+    return code.replace(SELECTOR_CALL, (call, opening, quote, selectors) =>
+      `${opening}${quote}${selectors.replace(CSS_COMMENT, '')}${quote}`);
+  }
+
+  static withoutRuleComments(rule) {
+    const clean = selector => (typeof selector === 'string' ? selector.replace(CSS_COMMENT, '').trim() : selector);
+    const cleaned = { ...rule };
+    RULE_SELECTORS.filter(field => field in cleaned).forEach(field => {
+      cleaned[field] = clean(cleaned[field]);
+    });
+    if (Array.isArray(cleaned.remove)) cleaned.remove = cleaned.remove.map(clean);
+    return cleaned;
+  }
+
+  static savedFromUrl(html) {
+    return html.match(SAVED_FROM)?.[1] || null;
+  }
+}
+
+module.exports = { HeadlessPipeline };
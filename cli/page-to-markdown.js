@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+// Command-line conversion of saved HTML to Markdown, with the extension's own pipeline
+// (see headless.js): the same content detection, site rules, frontmatter and filenames
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { pathToFileURL } = require('url');
+const { HeadlessPipeline } = require('./headless');
+
+const USAGE = `Usage: page-to-markdown [options] [file ...]
+
+Converts HTML files (or stdin, as "-" or with no files) to Markdown with frontmatter.
+
+Options:
+  -u, --base-url <url>   Address the HTML came from, for links, images and the domain
+                         (default: the "saved from" note Chrome adds, else the file's path)
+  -o, --out-dir <dir>    Write each note there, named by the filename template,
+                         instead of printing it (needed for several files)
+  -s, --settings <file>  JSON with settings to change, e.g. {"linkStyle": "referenced"}
+  -r, --rules <file>     Site rules JSON, as exported from the options page
+  -t, --time <date>      Capture time for the timestamp and {{date}}, e.g.
+                         2025-03-14T12:00:00Z, so repeated runs give the same output
+      --json             Print the capture payload (metadata and Markdown) as JSON
+      --no-frontmatter   Print the Markdown without frontmatter
+  -v, --verbose          Show extraction progress on stderr
+  -h, --help             Show this help`;
+
+function readInput(file) {
+  return file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+}
+
+function baseUrlFor(file, html, baseUrl) {
+  if (baseUrl) return baseUrl;
+
+  const savedFrom = HeadlessPipeline.savedFromUrl(html);
+  if (savedFrom) return savedFrom;
+
+  return file === '-' ? pathToFileURL(path.join(process.cwd(), 'stdin.html')).href : pathToFileURL(path.resolve(file)).href;
+}
+
+function readJson(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${what} from ${file}: ${error.message}`);
+  }
+}
+
+function writeNote(outDir, filename, content) {
+  // The filename template may add subfolders; a taken name gets "-2", "-3", ...
+  let target = path.join(outDir, filename);
+  for (let number = 2; fs.existsSync(target); number++) {
+    target = path.join(outDir, filename.replace(/(\.\w+)?$/, `-${number}$1`));
+  }
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, content);
+  return target;
+}
+
+function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'base-url': { type: 'string', short: 'u' },
+      'out-dir': { type: 'string', short: 'o' },
+      settings: { type: 'string', short: 's' },
+      rules: { type: 'string', short: 'r' },
+      time: { type: 'string', short: 't' },
+      json: { type: 'boolean' },
+      'no-frontmatter': { type: 'boolean' },
+      verbose: { type: 'boolean', short: 'v' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const files = positionals.length > 0 ? positionals : ['-'];
+  if (files.length > 1 && !options['out-dir']) {
+    throw new Error('Several files need --out-dir');
+  }
+
+  const pipeline = new HeadlessPipeline({
+    settings: options.settings ? readJson(options.settings, 'settings') : {},
+    verbose: options.verbose
+  });
+  if (options.rules) {
+    pipeline.rules = pipeline.parseRules(fs.readFileSync(options.rules, 'utf8'));
+  }
+
+  try {
+    for (const file of files) {
+      const html = readInput(file);
+      const { data, filename, content } = pipeline.convert(html, baseUrlFor(file, html, options['base-url']), options.time);
+
+      const output = options.json
+        ? `${JSON.stringify(data, null, 2)}\n`
+        : options['no-frontmatter'] ? `${data.markdown}\n` : content;
+
+      if (options['out-dir']) {
+        const target = writeNote(options['out-dir'], options.json ? filename.replace(/\.md$/i, '.json') : filename, output);
+        console.error(`✅ ${file} → ${target}`);
+      } else {
+        process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+      }
+    }
+  } finally {
+    pipeline.close();
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+// Reference native messaging host for the extension's command-line access
+// Chrome starts it (through com.page_to_markdown.bridge.json) when the option is turned on
+// and talks to it over stdin/stdout. The host in turn listens on 127.0.0.1 so other programs
+// can ask for captures over HTTP:
+//
+//   GET /capture             the active tab
+//   GET /capture?url=<url>   the URL, fetched as "Save linked page" does
+//   GET /ping                extension version
+//
+// Each request needs "Authorization: Bearer <token>"; the port and token are written to
+// ~/.page-to-markdown-host.json while the host runs. The same script is also a small client:
+//
+//   node page-to-markdown-host.js capture [url] [--json]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_PORT = 17865;
+const REQUEST_TIMEOUT = 120000;
+const CONNECTION_FILE = path.join(os.homedir(), '.page-to-markdown-host.json');
+
+// Native messaging framing: a 32-bit length in native byte order (little-endian on every
+// platform Chrome runs on), then that many bytes of UTF-8 JSON
+function encodeMessage(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  return Buffer.concat([header, body]);
+}
+
+function createMessageReader(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  return chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32LE(0);
+      if (buffer.length < 4 + length) break;
+
+      const body = buffer.subarray(4, 4 + length).toString('utf8');
+      buffer = buffer.subarray(4 + length);
+      try {
+        onMessage(JSON.parse(body));
+      } catch (error) {
+        log(`Ignoring malformed message: ${error.message}`);
+      }
+    }
+  };
+}
+
+// Constant-time comparison, so the token can't be guessed a byte at a time from response timings
+function hasToken(authorization, token) {
+  const given = Buffer.from(String(authorization || ''), 'utf8');
+  const expected = Buffer.from(`Bearer ${token}`, 'utf8');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// stdout belongs to Chrome; anything else goes to stderr, which Chrome shows in its log
+function log(text) {
+  process.stderr.write(`[page-to-markdown-host] ${text}\n`);
+}
+
+function runHost() {
+  const port = Number(process.env.PAGE_TO_MARKDOWN_PORT) || DEFAULT_PORT;
+  const token = crypto.randomBytes(24).toString('hex');
+  const pending = new Map();
+  let nextId = 1;
+
+  const request = message => new Promise((resolve, reject) => {
+    const id = nextId++;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error('The extension did not answer in time'));
+    }, REQUEST_TIMEOUT);
+
+    pending.set(id, { resolve, reject, timer });
+    process.stdout.write(encodeMessage({ ...message, id }));
+  });
+
+  process.stdin.on('data', createMessageReader(reply => {
+    const waiting = pending.get(reply.id);
+    if (!waiting) return;
+
+    pending.delete(reply.id);
+    clearTimeout(waiting.timer);
+    waiting.resolve(reply);
+  }));
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(body));
+    };
+
+    // Only local clients with the token; checking Host also stops DNS rebinding from web pages
+    let url;
+    try {
+      url = new URL(req.url, `http://${req.headers.host}`);
+    } catch (error) {
+      return send(400, { success: false, error: 'Bad request' });
+    }
+    if (!['127.0.0.1', 'localhost'].includes(url.hostname)) {
+      return send(403, { success: false, error: 'Forbidden host' });
+    }
+    if (!hasToken(req.headers.authorization, token)) {
+      return send(401, { success: false, error: `Missing or wrong token (see ${CONNECTION_FILE})` });
+    }
+    if (req.method !== 'GET' || !['/capture', '/ping'].includes(url.pathname)) {
+      return send(404, { success: false, error: 'Not found' });
+    }
+
+    try {
+      const reply = url.pathname === '/ping'
+        ? await request({ action: 'ping' })
+        : await request({ action: 'capture', url: url.searchParams.get('url') || undefined });
+      const { id, ...body } = reply;
+      send(body.success ? 200 : 502, body);
+    } catch (error) {
+      send(504, { success: false, error: error.message });
+    }
+  });
+
+  server.on('error', error => {
+    log(`Could not listen on port ${port}: ${error.message}`);
+    process.exit(1);
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    fs.writeFileSync(CONNECTION_FILE, JSON.stringify({ port, token }), { mode: 0o600 });
+    log(`Listening on http://127.0.0.1:${port}`);
+  });
+
+  // Chrome closes stdin when the extension disconnects (option turned off, browser closed)
+  const shutdown = () => {
+    try {
+      fs.unlinkSync(CONNECTION_FILE);
+    } catch (error) {
+      // Already gone
+    }
+    process.exit(0);
+  };
+  process.stdin.on('end', shutdown);
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+async function runClient(args) {
+  const json = args.includes('--json');
+  const target = args.find(arg => arg !== '--json');
+
+  let connection;
+  try {
+    connection = JSON.parse(fs.readFileSync(CONNECTION_FILE, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Host is not running (no ${CONNECTION_FILE}). Turn on command-line access in the extension's options.`);
+    process.exit(1);
+  }
+
+  const query = target ? `?url=${encodeURIComponent(target)}` : '';
+  const response = await fetch(`http://127.0.0.1:${connection.port}/capture${query}`, {
+    headers: { Authorization: `Bearer ${connection.token}` }
+  });
+  const body = await response.json();
+
+  if (!body.success) {
+    console.error(`❌ ${body.error}`);
+    process.exit(1);
+  }
+  process.stdout.write(json ? `${JSON.stringify(body.data, null, 2)}\n` : `${body.data.markdown}\n`);
+}
+
+// Chrome passes the calling extension's origin (and on Windows a --parent-window flag)
+if (process.argv[2] === 'capture') {
+  runClient(process.argv.slice(3)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+} else {
+  runHost();
+}
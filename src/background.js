@@ -1,84 +1,580 @@
 // Background service worker for Chrome extension
-// Handles file downloads (markdown conversion moved to content script)
+// Handles saving converted Markdown (download, vault folder, clipboard, preview tab), capture history,
+// batch capture, context menus, the capture keyboard shortcut and native host requests (markdown conversion
+// moved to content script)
+
+importScripts(
+  'settings.js', 'yaml-emitter.js', 'template-renderer.js', 'heading-outline.js', 'batch-capture.js',
+  'image-assets.js', 'zip-writer.js', 'site-rules.js', 'capture-history.js', 'markdown-diff.js',
+  'text-stats.js', 'markdown-chunker.js', 'reference-links.js', 'markdown-document.js', 'vault-folder.js',
+  'native-bridge.js'
+);
+
+const CONTEXT_MENUS = [
+  { id: 'save-page', title: 'Save page as Markdown', contexts: ['page'] },
+  { id: 'save-selection', title: 'Save selection as Markdown', contexts: ['selection'] },
+  { id: 'save-link', title: 'Save linked page as Markdown', contexts: ['link'] },
+  { id: 'copy-image', title: 'Copy image as Markdown', contexts: ['image'] }
+];
+
+const LINK_FETCH_TIMEOUT = 30000;
 
 class BackgroundService {
   constructor() {
+    this.batch = new BatchCapture(status => this.reportBatchProgress(status));
+    this.history = new CaptureHistory();
+    this.vault = new VaultFolder();
+    this.bridge = new NativeBridge(request => this.handleBridgeRequest(request));
     this.init();
   }
 
   init() {
-    // Listen for messages from popup
+    // Listen for messages from popup and content scripts
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.action === 'downloadMarkdown') {
-        this.handleDownload(message.payload)
-          .then(result => sendResponse(result))
-          .catch(error => sendResponse({ success: false, error: error.message }));
-        return true; // Keep message channel open for async response
+      switch (message.action) {
+        case 'saveMarkdown':
+          this.handleSave(message.payload, message.target, message.options)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true; // Keep message channel open for async response
+
+        case 'startBatch':
+          // Answers right away; progress arrives as batchProgress messages since the
+          // popup may close before the batch finishes
+          try {
+            this.startBatch(message);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'getBatchStatus':
+          sendResponse({ success: true, status: this.batch.status });
+          break;
+
+        case 'downloadMarkdown':
+          // Finished documents (e.g. a diff from the preview tab); no templates applied
+          this.downloadFile(message.content, message.filename)
+            .then(() => sendResponse({ success: true, message: `Saved ${message.filename}` }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+
+        case 'searchHistory':
+        case 'findCaptures':
+        case 'getCapture':
+        case 'redownloadCapture':
+        case 'deleteCapture':
+          this.handleHistory(message)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+      }
+    });
+
+    // Keyboard shortcut (manifest "commands") captures without opening the popup
+    chrome.commands.onCommand.addListener((command) => {
+      if (command === 'capture-page') {
+        this.handleCaptureCommand();
+      }
+    });
+
+    // Context menu entries persist across service worker restarts; (re)create them on install/update
+    chrome.runtime.onInstalled.addListener(() => this.createContextMenus());
+    chrome.contextMenus.onClicked.addListener((info, tab) => this.handleContextMenu(info, tab));
+
+    // The native host bridge is opt-in; onStartup wakes the worker when the browser starts
+    chrome.runtime.onStartup.addListener(() => this.updateBridge());
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes.nativeBridge) this.updateBridge();
+    });
+    chrome.permissions.onAdded.addListener(() => this.updateBridge());
+    chrome.permissions.onRemoved.addListener(() => this.updateBridge());
+    this.updateBridge();
+  }
+
+  async updateBridge() {
+    try {
+      const settings = await Settings.load();
+      await this.bridge.update(settings.nativeBridge);
+    } catch (error) {
+      console.error('Native host bridge failed:', error);
+    }
+  }
+
+  async handleBridgeRequest({ action, url }) {
+    // The active tab is extracted as from the popup and URLs as by "Save linked page", but
+    // nothing is saved: the payload goes back to the host as it is
+    switch (action) {
+      case 'ping':
+        return { version: chrome.runtime.getManifest().version };
+
+      case 'capture': {
+        if (url) {
+          if (!/^https?:\/\//i.test(url)) {
+            throw new Error('Only http and https URLs can be captured');
+          }
+          return this.extractLink(url);
+        }
+
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        if (!tab) {
+          throw new Error('No active tab');
+        }
+        return this.batch.extractTab(tab.id);
       }
+
+      default:
+        throw new Error(`Unknown action: ${action}`);
+    }
+  }
+
+  createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+      CONTEXT_MENUS.forEach(item => {
+        chrome.contextMenus.create({
+          ...item,
+          documentUrlPatterns: ['http://*/*', 'https://*/*'],
+          ...(item.id === 'save-link' ? { targetUrlPatterns: ['http://*/*', 'https://*/*'] } : {})
+        });
+      });
     });
   }
 
-  async handleDownload(data) {
+  async handleContextMenu(info, tab) {
+    try {
+      switch (info.menuItemId) {
+        case 'save-page':
+          await this.captureTab(tab);
+          break;
+        case 'save-selection':
+          await this.captureTab(tab, 'selection');
+          break;
+        case 'save-link':
+          await this.captureLink(info.linkUrl);
+          break;
+        case 'copy-image':
+          await this.copyImageMarkdown(info, tab);
+          break;
+      }
+      this.flashBadge('✓', '#10b981');
+    } catch (error) {
+      console.error(`Context menu "${info.menuItemId}" failed:`, error);
+      this.flashBadge('!', '#dc2626');
+    }
+  }
+
+  // options.compare: also show what changed since the last capture of the URL,
+  // options.saveDiff: and download that as "<note>.diff.md"
+  async handleSave(capture, target, options = {}) {
     try {
+      const settings = await Settings.load();
+      const output = target || settings.outputTarget;
+      const data = this.prepareMarkdown(capture, settings);
+
       // Generate filename
-      const filename = this.generateFilename(data.title);
+      const filename = this.generateFilename(data, settings);
 
       // Create markdown file with frontmatter
-      const fullContent = this.createMarkdownFile(data);
+      const fullContent = this.createMarkdownFile(data, settings);
+
+      let result;
+      switch (output) {
+        case 'clipboard':
+          await this.copyToClipboard(settings.clipboardFrontmatter ? fullContent : data.markdown);
+          result = { success: true, target: output, filename, message: 'Copied to clipboard' };
+          break;
+
+        case 'vault':
+          result = await this.saveToVault(data, fullContent, settings);
+          break;
 
-      // Download the file
-      await this.downloadFile(fullContent, filename);
+        case 'preview':
+          // Not a capture yet; saving from the preview tab comes back through here
+          await this.openPreview({ data: capture, filename, content: fullContent });
+          return { success: true, target: output, filename, message: 'Opened preview' };
 
-      return {
-        success: true,
-        filename: filename
-      };
+        default:
+          if (settings.llmProfile && TextStats.estimateTokens(data.markdown) > settings.llmChunkTokens) {
+            result = await this.downloadChunks(data, filename, settings);
+          } else if (settings.downloadImages) {
+            result = await this.downloadWithImages(data, filename, settings);
+          } else {
+            await this.downloadFile(fullContent, filename);
+            result = { success: true, target: 'download', filename, message: `Saved ${filename}` };
+          }
+      }
+
+      if (options.compare) {
+        // Like the history, the comparison is extra; the capture itself is saved by now
+        try {
+          await this.compareWithPrevious(data, result, options.saveDiff);
+        } catch (error) {
+          console.error('Comparing with the last capture failed:', error);
+          result.message += ' (comparing with the last capture failed)';
+        }
+      }
+
+      await this.recordCapture(data, result, fullContent);
+      return result;
     } catch (error) {
-      console.error('Download failed:', error);
+      console.error('Save failed:', error);
       throw error;
     }
   }
 
-  createMarkdownFile(data) {
-    const frontmatter = `---
-url: ${data.url}
-title: "${data.title.replace(/"/g, '\\"')}"
-timestamp: ${data.timestamp}
-domain: ${data.domain}
-author: ${data.author || 'Unknown'}
-description: "${(data.description || '').replace(/"/g, '\\"')}"
-word_count: ${data.wordCount}
----
+  prepareMarkdown(data, settings) {
+    return MarkdownDocument.prepare(data, settings);
+  }
+
+  async downloadChunks(data, filename, settings) {
+    // "<note>-01.md", "<note>-02.md", ... beside an index saved under the note's own name;
+    // images stay linked to the web
+    const chunks = MarkdownChunker.chunk(data.markdown, settings.llmChunkTokens);
+    const renderer = new TemplateRenderer(data);
+    const noteName = filename.split('/').pop().replace(/\.md$/, '');
+    const directory = filename.slice(0, filename.lastIndexOf('/') + 1);
+    const digits = Math.max(2, String(chunks.length).length);
+    const names = chunks.map((chunk, index) => `${noteName}-${String(index + 1).padStart(digits, '0')}.md`);
+
+    for (const [index, chunk] of chunks.entries()) {
+      const frontmatter = renderer.renderFrontmatter(settings.frontmatterTemplate, {
+        chunk: index + 1,
+        chunks: chunks.length,
+        breadcrumb: chunk.breadcrumb,
+        tokens: chunk.tokens
+      });
+      await this.downloadFile(`${frontmatter}\n${chunk.markdown}`, `${directory}${names[index]}`);
+    }
 
-`;
+    const frontmatter = renderer.renderFrontmatter(settings.frontmatterTemplate, {
+      chunks: chunks.length,
+      tokens: chunks.reduce((sum, chunk) => sum + chunk.tokens, 0)
+    });
+    const index = MarkdownChunker.index(data, chunks, names, settings.llmChunkTokens);
+    await this.downloadFile(`${frontmatter}\n${index}`, filename);
 
-    return frontmatter + data.markdown;
+    return { success: true, target: 'download', filename, message: `Saved ${filename} and ${chunks.length} chunks` };
   }
 
-  generateFilename(title) {
-    // Sanitize title for filename - less aggressive
-    const sanitized = title
-      .trim()
-      // Only replace truly problematic characters
-      .replace(/[<>:"/\\|?*\x00-\x1f]/g, '-')
-      // Replace multiple spaces with single space, then space with dash
-      .replace(/\s+/g, ' ')
-      .replace(/\s/g, '-')
-      // Remove multiple consecutive dashes
-      .replace(/-+/g, '-')
-      // Remove leading/trailing dashes
-      .replace(/^-|-$/g, '')
-      // Limit length but keep readable
-      .substring(0, 60);
+  async saveToVault(data, content, settings) {
+    // Appending goes into the note last written to the vault for this URL, while it
+    // still exists; otherwise (and for combined batches) the capture is a note of its own
+    if (settings.vaultConflict === 'append' && data.url) {
+      const previous = (await this.history.findByUrl(data.url)).find(entry => entry.target === 'vault');
+      const section = `\n\n---\n\n## Captured ${data.timestamp}\n\n${data.markdown}\n`;
+      if (previous && await this.vault.append(previous.filename, section)) {
+        return { success: true, target: 'vault', filename: previous.filename, message: `Added to ${previous.filename}` };
+      }
+    }
 
-    const timestamp = new Date().toISOString().split('T')[0];
-    return `${timestamp}-${sanitized || 'untitled'}.md`;
+    const path = new TemplateRenderer(data).renderFilename(
+      [settings.vaultSubfolder, settings.filenameTemplate].filter(part => part.trim()).join('/'));
+    const filename = await this.vault.write(path, content, settings.vaultConflict === 'overwrite');
+    return { success: true, target: 'vault', filename, message: `Saved ${filename} in the vault` };
+  }
+
+  async compareWithPrevious(data, result, saveDiff) {
+    const [latest] = await this.history.findByUrl(data.url);
+    const previous = latest && await this.history.get(latest.id);
+    if (!previous) return;
+
+    const diff = MarkdownDiff.document({
+      // Entries from before the body was stored separately: drop the frontmatter
+      markdown: previous.markdown ?? previous.content.replace(/^---\n[\s\S]*?\n---\n\n?/, ''),
+      timestamp: previous.timestamp,
+      filename: previous.filename
+    }, data);
+
+    if (!diff.changed) {
+      result.message += ' (no changes since the last capture)';
+      return;
+    }
+
+    const filename = `${result.filename.replace(/\.(md|zip)$/, '')}.diff.md`;
+    if (saveDiff && result.target === 'download') {
+      await this.downloadFile(diff.content, filename);
+    }
+
+    result.message += ` (+${diff.added} −${diff.removed} lines since the last capture)`;
+    await this.openPreview({ data: { ...data, title: `Changes: ${data.title}` }, filename, content: diff.content, diff: true });
+  }
+
+  async recordCapture(data, result, content) {
+    // The file is already written; a history failure must not turn the save into an error
+    try {
+      await this.history.add({
+        url: data.url,
+        title: data.title,
+        timestamp: new Date().toISOString(),
+        wordCount: data.wordCount || 0,
+        filename: result.filename,
+        target: result.target,
+        content,
+        markdown: data.markdown
+      });
+    } catch (error) {
+      console.error('Recording capture history failed:', error);
+    }
+  }
+
+  async handleHistory({ action, query, url, id }) {
+    switch (action) {
+      case 'searchHistory':
+        return { entries: await this.history.search(query) };
+
+      case 'findCaptures':
+        return { entries: await this.history.findByUrl(url) };
+
+      case 'getCapture':
+        return { entry: await this.history.get(id) };
+
+      case 'redownloadCapture': {
+        // The Markdown as it was captured; images saved alongside are not fetched again
+        const entry = await this.history.get(id);
+        if (!entry) throw new Error('This capture is no longer in the history');
+
+        const filename = entry.filename.replace(/\.zip$/, '.md');
+        await this.downloadFile(entry.content, filename);
+        return { message: `Saved ${filename}` };
+      }
+
+      case 'deleteCapture':
+        await this.history.delete(id);
+        return {};
+    }
+  }
+
+  startBatch({ items, combine, target }) {
+    if (this.batch.isRunning) {
+      throw new Error('A batch capture is already running');
+    }
+    if (!items?.length) {
+      throw new Error('Nothing to capture');
+    }
+
+    this.runBatch(items, combine, target).catch(error => {
+      console.error('Batch capture failed:', error);
+      this.batch.update({ state: 'failed', message: error.message });
+      this.flashBadge('!', '#dc2626');
+    });
+  }
+
+  async runBatch(items, combine, target) {
+    const { captures, failures } = await this.batch.run(items);
+    if (captures.length === 0) {
+      throw new Error('None of the pages could be captured');
+    }
+
+    this.batch.update({ state: 'saving', current: '' });
+
+    let message;
+    if (combine) {
+      const result = await this.handleSave(BatchCapture.bundle(captures, failures), target);
+      message = result.message;
+    } else {
+      // Separate files always go to Downloads; one clipboard or preview per page is no use
+      let saved = 0;
+
+      for (const data of captures) {
+        try {
+          await this.handleSave(data, 'download');
+          saved++;
+        } catch (error) {
+          console.error(`Saving ${data.url} failed:`, error);
+          failures.push({ url: data.url, title: data.title || data.url, error: `Save failed: ${error.message}` });
+        }
+      }
+      message = `Saved ${saved} ${saved === 1 ? 'file' : 'files'}`;
+    }
+
+    const captured = `${captures.length} of ${items.length} pages captured`;
+    this.batch.update({ state: 'done', message: `${message} (${captured})` });
+    this.flashBadge(failures.length > 0 ? '!' : '✓', failures.length > 0 ? '#f59e0b' : '#10b981');
+  }
+
+  reportBatchProgress(status) {
+    if (status.state === 'running') {
+      chrome.action.setBadgeBackgroundColor({ color: '#2563eb' });
+      chrome.action.setBadgeText({ text: `${status.completed}/${status.total}` });
+    }
+
+    // Nobody may be listening once the popup has closed
+    chrome.runtime.sendMessage({ action: 'batchProgress', status }).catch(() => {});
+  }
+
+  async handleCaptureCommand() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      await this.captureTab(tab);
+      this.flashBadge('✓', '#10b981');
+    } catch (error) {
+      console.error('Capture shortcut failed:', error);
+      this.flashBadge('!', '#dc2626');
+    }
+  }
+
+  async captureTab(tab, mode = 'page') {
+    // Shortcut and context menu captures use the default output; no popup, no review step
+    if (!tab?.id || !tab.url?.startsWith('http')) {
+      throw new Error('This page cannot be converted');
+    }
+
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'extractContent', mode });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to extract content');
+    }
+
+    return this.handleSave(response.data);
+  }
+
+  async captureLink(url) {
+    return this.handleSave(await this.extractLink(url));
+  }
+
+  async extractLink(url) {
+    // Fetched without opening a tab, so only what the server sends is captured (no scripts run).
+    // Outside a click (native bridge requests) the permission has to be granted already
+    const origins = [`${new URL(url).origin}/*`];
+    if (!await chrome.permissions.contains({ origins })) {
+      const granted = await chrome.permissions.request({ origins }).catch(() => false);
+      if (!granted) {
+        throw new Error(`No permission to read ${new URL(url).hostname}`);
+      }
+    }
+
+    const response = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(LINK_FETCH_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    if (!/html/i.test(response.headers.get('content-type') || '')) {
+      throw new Error('The link does not point to a web page');
+    }
+
+    const html = await response.text();
+    const rule = SiteRules.find(await SiteRules.load(), response.url);
+
+    await this.ensureOffscreenDocument();
+    const result = await chrome.runtime.sendMessage({ action: 'extractHtml', html, url: response.url, rule });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Failed to extract content');
+    }
+
+    return result.data;
+  }
+
+  async copyImageMarkdown(info, tab) {
+    // Alt text comes from the page when the content script can find the image
+    let alt = '';
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getImageAlt', src: info.srcUrl }, { frameId: info.frameId });
+      alt = response?.alt || '';
+    } catch (error) {
+      console.warn('Could not read image alt text:', error);
+    }
+
+    if (!alt && !info.srcUrl.startsWith('data:')) {
+      alt = decodeURIComponent(new URL(info.srcUrl).pathname.split('/').pop()).replace(/\.[^.]*$/, '');
+    }
+
+    const escapedAlt = alt.replace(/\s+/g, ' ').replace(/([\\[\]])/g, '\\$1');
+    const src = /[\s()<>]/.test(info.srcUrl) ? `<${info.srcUrl.replace(/[<>]/g, encodeURIComponent)}>` : info.srcUrl;
+    await this.copyToClipboard(`![${escapedAlt}](${src})`);
+  }
+
+  flashBadge(text, color) {
+    // No popup is open for shortcut captures, so report the outcome on the toolbar icon
+    chrome.action.setBadgeBackgroundColor({ color });
+    chrome.action.setBadgeText({ text });
+    setTimeout(() => chrome.action.setBadgeText({ text: '' }), 2000);
+  }
+
+  createMarkdownFile(data, settings) {
+    return MarkdownDocument.create(data, settings);
+  }
+
+  generateFilename(data, settings) {
+    return MarkdownDocument.filename(data, settings);
+  }
+
+  async ensureOffscreenDocument() {
+    // One offscreen document serves clipboard writes and parsing fetched pages; creating
+    // it twice is an error, so concurrent callers share the pending creation
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) return;
+
+    if (!this.creatingOffscreen) {
+      this.creatingOffscreen = chrome.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: ['CLIPBOARD', 'DOM_PARSER'],
+        justification: 'Copy converted Markdown to the clipboard and parse linked pages'
+      }).finally(() => {
+        this.creatingOffscreen = null;
+      });
+    }
+    await this.creatingOffscreen;
+  }
+
+  async copyToClipboard(text) {
+    // Service workers have no clipboard access; an offscreen document does the copy
+    await this.ensureOffscreenDocument();
+
+    const result = await chrome.runtime.sendMessage({ action: 'copyToClipboard', text });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Could not copy to clipboard');
+    }
+  }
+
+  async openPreview({ data, filename, content, diff = false }) {
+    // Hand the result to preview.html through session storage; the page removes it once read.
+    // The page's HTML stays behind: the preview shows and saves the Markdown, and session
+    // storage is capped at 10 MB
+    const { content: html, ...metadata } = data;
+    const id = crypto.randomUUID();
+    await chrome.storage.session.set({ [`preview-${id}`]: { data: metadata, filename, content, diff } });
+    await chrome.tabs.create({ url: `preview.html?id=${id}` });
+  }
+
+  async downloadWithImages(data, filename, settings) {
+    // Images go to "<note>-assets/" beside the note, or into one zip with it
+    const base = filename.replace(/\.md$/, '');
+    const noteName = filename.split('/').pop();
+    const folder = `${noteName.replace(/\.md$/, '')}-assets`;
+
+    const { markdown, assets, failed } = await ImageAssets.localize(data.markdown, folder);
+    const content = this.createMarkdownFile({ ...data, markdown }, settings);
+
+    let savedAs = filename;
+    if (settings.zipImages) {
+      const zip = new ZipWriter();
+      zip.add(noteName, content);
+      for (const asset of assets) {
+        zip.add(`${folder}/${asset.name}`, await asset.blob.arrayBuffer());
+      }
+
+      savedAs = `${base}.zip`;
+      await this.downloadBlob(zip.toBlob(), savedAs);
+    } else {
+      await this.downloadFile(content, filename);
+
+      const directory = filename.slice(0, filename.length - noteName.length);
+      for (const asset of assets) {
+        await this.downloadBlob(asset.blob, `${directory}${folder}/${asset.name}`);
+      }
+    }
+
+    let message = `Saved ${savedAs} with ${assets.length} ${assets.length === 1 ? 'image' : 'images'}`;
+    if (failed.length > 0) {
+      message += ` (${failed.length} could not be downloaded and stay linked to the web)`;
+    }
+    return { success: true, target: 'download', filename: savedAs, message };
   }
 
   async downloadFile(content, filename) {
-    // Create blob and download using Chrome downloads API
-    const blob = new Blob([content], { type: 'text/markdown' });
+    return this.downloadBlob(new Blob([content], { type: 'text/markdown' }), filename);
+  }
 
+  async downloadBlob(blob, filename) {
     // Create data URL (service workers can't use URL.createObjectURL)
     const dataUrl = await this.blobToDataUrl(blob);
 
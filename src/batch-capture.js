@@ -0,0 +1,186 @@
+// Batch capture for the background service worker
+// Extracts a list of tabs or links one page at a time, recording per-page errors instead
+// of stopping at the first failure, and can bundle the results into one document
+
+const BATCH_PAGE_TIMEOUT = 30000;
+
+class BatchCapture {
+  constructor(onProgress) {
+    this.onProgress = onProgress;
+    this.status = null;
+  }
+
+  get isRunning() {
+    return this.status?.state === 'running' || this.status?.state === 'saving';
+  }
+
+  // items: [{ tabId, url, title }] for open tabs, [{ url, title }] for links
+  async run(items) {
+    const captures = [];
+    const failures = [];
+
+    this.update({ state: 'running', total: items.length, completed: 0, current: '', failures, message: '' });
+
+    for (const item of items) {
+      this.update({ current: item.title || item.url });
+
+      try {
+        const data = item.tabId
+          ? await this.extractTab(item.tabId)
+          : await this.extractLink(item.url);
+        captures.push(data);
+      } catch (error) {
+        console.error(`Batch capture failed for ${item.url}:`, error);
+        failures.push({ url: item.url, title: item.title || item.url, error: error.message });
+      }
+
+      this.update({ completed: this.status.completed + 1 });
+    }
+
+    return { captures, failures };
+  }
+
+  update(changes) {
+    this.status = { ...this.status, ...changes };
+    this.onProgress(this.status);
+  }
+
+  async extractTab(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.url?.startsWith('http')) {
+      throw new Error('Not a web page');
+    }
+
+    // Discarded tabs have no content script until they load again
+    if (tab.discarded) {
+      await chrome.tabs.reload(tabId);
+      await this.waitForTab(tabId);
+    }
+
+    return this.extract(tabId);
+  }
+
+  async extractLink(url) {
+    const tab = await chrome.tabs.create({ url, active: false });
+
+    try {
+      await this.waitForTab(tab.id);
+      return await this.extract(tab.id);
+    } finally {
+      chrome.tabs.remove(tab.id).catch(() => {});
+    }
+  }
+
+  waitForTab(tabId) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('Timed out waiting for the page to load'));
+      }, BATCH_PAGE_TIMEOUT);
+
+      const listener = (updatedId, changeInfo, tab) => {
+        if (updatedId === tabId && changeInfo.status === 'complete') {
+          cleanup();
+          resolve(tab);
+        }
+      };
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+      };
+
+      chrome.tabs.onUpdated.addListener(listener);
+
+      // The page may have finished loading before the listener was added
+      chrome.tabs.get(tabId).then(tab => {
+        if (tab.status === 'complete') {
+          cleanup();
+          resolve(tab);
+        }
+      }, error => {
+        cleanup();
+        reject(error);
+      });
+    });
+  }
+
+  async extract(tabId) {
+    // Content scripts run at document_idle, a moment after the tab reports "complete"
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'extractContent' });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Failed to extract content');
+        }
+        return response.data;
+      } catch (error) {
+        if (!error.message.includes('Receiving end does not exist')) throw error;
+        if (attempt >= 5) {
+          throw new Error('Page is not ready for capture. Reload the tab and try again.');
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    }
+  }
+
+  static bundle(captures, failures, now = new Date()) {
+    // One document: a table of contents, then each page under its own "##" heading
+    // with the page's headings shifted down to fit underneath
+    const pageCount = `${captures.length} ${captures.length === 1 ? 'page' : 'pages'}`;
+    const title = `Batch capture: ${pageCount}`;
+    const slugger = HeadingOutline.createSlugger();
+
+    slugger(title);
+    slugger('Contents');
+
+    const toc = [];
+    const sections = captures.map(data => {
+      const heading = data.title || data.url;
+      toc.push(`- [${BatchCapture.escapeText(heading)}](#${slugger(heading)})`);
+
+      const markdown = BatchCapture.demoteHeadings(data.markdown || '', slugger);
+      return `## ${BatchCapture.escapeText(heading)}\n\nSource: <${data.url}>\n\n${markdown}`.trim();
+    });
+
+    if (failures.length > 0) {
+      toc.push(`- [Not captured](#${slugger('Not captured')})`);
+      sections.push([
+        '## Not captured',
+        '',
+        ...failures.map(failure =>
+          `- [${BatchCapture.escapeText(failure.title)}](<${failure.url}>) - ${failure.error}`)
+      ].join('\n'));
+    }
+
+    const domains = [...new Set(captures.map(data => data.domain).filter(Boolean))];
+    const keywords = [...new Set(captures.flatMap(data => data.keywords || []))];
+
+    return {
+      url: '',
+      domain: domains.length === 1 ? domains[0] : '',
+      title,
+      description: `Combined capture of ${pageCount}`,
+      keywords,
+      wordCount: captures.reduce((total, data) => total + (data.wordCount || 0), 0),
+      timestamp: now.toISOString(),
+      markdown: [`# ${title}`, '## Contents', toc.join('\n'), ...sections].join('\n\n')
+    };
+  }
+
+  static demoteHeadings(markdown, slugger) {
+    // Shift every ATX heading outside code fences by two levels (capped at h6), and
+    // register it with the slugger so the TOC anchors match the rendered document
+    return HeadingOutline.lines(markdown).map(({ text, code }) => {
+      const heading = !code && text.match(MARKDOWN_HEADING);
+      if (!heading) return text;
+
+      slugger(HeadingOutline.plainText(heading[2]));
+      return `${'#'.repeat(Math.min(heading[1].length + 2, 6))} ${heading[2]}`;
+    }).join('\n');
+  }
+
+  static escapeText(text) {
+    return String(text).replace(/\s+/g, ' ').replace(/([\\`*_[\]<>#])/g, '\\$1');
+  }
+}
@@ -0,0 +1,142 @@
+// Capture history
+// Every saved capture (URL, title, filename and the Markdown file itself) kept in IndexedDB by
+// the background service worker; the history page and popup read it through messages.
+// Lists and searches only touch the small capture records; the notes are kept apart and
+// loaded when an entry is opened, re-exported or compared
+
+const HISTORY_DB_NAME = 'capture-history';
+const HISTORY_DB_VERSION = 2;
+const HISTORY_STORE = 'captures';
+const HISTORY_NOTES = 'notes';
+
+// Query parameters that only track where a visitor came from; ignored when looking for duplicates
+const TRACKING_PARAMS = /^(?:utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref_src)$/i;
+
+class CaptureHistory {
+  constructor() {
+    this.database = null;
+  }
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        request.onupgradeneeded = event => {
+          const database = request.result;
+          if (event.oldVersion < 1) {
+            const store = database.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('pageUrl', 'pageUrl');
+            store.createIndex('timestamp', 'timestamp');
+          }
+          if (event.oldVersion < 2) {
+            CaptureHistory.moveNotes(request.transaction, database.createObjectStore(HISTORY_NOTES, { keyPath: 'id' }));
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let a later call retry instead of caching the failure
+      this.database.catch(() => {
+        this.database = null;
+      });
+    }
+    return this.database;
+  }
+
+  async add(entry) {
+    const { content, markdown, ...summary } = entry;
+    const record = { ...summary, pageUrl: CaptureHistory.normalizeUrl(entry.url) };
+    const [id] = await this.runBoth('readwrite', (captures, notes) => {
+      const request = captures.add(record);
+      request.onsuccess = () => notes.add({ id: request.result, content, markdown });
+      return [request];
+    });
+    return id;
+  }
+
+  async get(id) {
+    // The whole entry, note included
+    const [summary, note] = await this.runBoth('readonly', (captures, notes) => [captures.get(id), notes.get(id)]);
+    return summary ? { ...summary, ...note } : undefined;
+  }
+
+  async delete(id) {
+    await this.runBoth('readwrite', (captures, notes) => [captures.delete(id), notes.delete(id)]);
+  }
+
+  async findByUrl(url) {
+    const entries = await this.run('readonly', store =>
+      store.index('pageUrl').getAll(CaptureHistory.normalizeUrl(url)));
+    return entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  async search(query = '') {
+    // Newest first; every word of the query must appear in the title, URL or filename
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const entries = await this.run('readonly', store => store.index('timestamp').getAll());
+
+    // Combined batch documents have no URL of their own and are never duplicates
+    const captures = new Map();
+    entries.forEach(entry => captures.set(entry.pageUrl, (captures.get(entry.pageUrl) || 0) + 1));
+
+    return entries
+      .reverse()
+      .filter(entry => CaptureHistory.matches(entry, terms))
+      .map(entry => ({ ...entry, captures: entry.pageUrl ? captures.get(entry.pageUrl) : 1 }));
+  }
+
+  async run(mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(database.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async runBoth(mode, operation) {
+    // Captures and notes in one transaction; resolves with the requests' results once it commits
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction([HISTORY_STORE, HISTORY_NOTES], mode);
+      const requests = operation(transaction.objectStore(HISTORY_STORE), transaction.objectStore(HISTORY_NOTES));
+      transaction.oncomplete = () => resolve(requests.map(request => request.result));
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  static moveNotes(transaction, notes) {
+    // Version 1 kept the note inside each capture record
+    transaction.objectStore(HISTORY_STORE).openCursor().onsuccess = event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+
+      const { content, markdown, ...summary } = cursor.value;
+      notes.put({ id: summary.id, content, markdown });
+      cursor.update(summary);
+      cursor.continue();
+    };
+  }
+
+  static matches(entry, terms) {
+    if (terms.length === 0) return true;
+
+    const text = [entry.title, entry.url, entry.filename].join('\n').toLowerCase();
+    return terms.every(term => text.includes(term));
+  }
+
+  static normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      [...parsed.searchParams.keys()]
+        .filter(name => TRACKING_PARAMS.test(name))
+        .forEach(name => parsed.searchParams.delete(name));
+      parsed.pathname = parsed.pathname.replace(/(.)\/$/, '$1');
+      return parsed.href;
+    } catch (error) {
+      return url || '';
+    }
+  }
+}
@@ -1,7 +1,8 @@
 // Content script for page content extraction
-// Runs on every web page, extracts main content using Defuddle
+// Runs on every web page: answers the popup and background, handles selections and the
+// element picker; the extraction itself (Defuddle, metadata, Markdown) is in PageExtractor
 
-// Defuddle will be loaded as a script tag
+// Defuddle and Turndown will be loaded as script tags
 
 class ContentExtractor {
   constructor() {
@@ -11,354 +12,195 @@ class ContentExtractor {
   init() {
     // Listen for messages from popup
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.action === 'extractContent') {
-        try {
-          const content = this.extractPageContent();
-          sendResponse({ success: true, data: content });
-        } catch (error) {
-          console.error('Content extraction failed:', error);
-          sendResponse({ success: false, error: error.message });
+      try {
+        switch (message.action) {
+          case 'extractContent':
+            this.extractContent(message.mode, message.strategy)
+              .then(data => sendResponse({ success: true, data }))
+              .catch(error => {
+                console.error('Content extraction failed:', error);
+                sendResponse({ success: false, error: error.message });
+              });
+            break;
+
+          case 'getSelectionLinks':
+            sendResponse({ success: true, data: this.getSelectionLinks() });
+            break;
+
+          case 'startElementPicker':
+            this.startElementPicker();
+            sendResponse({ success: true });
+            break;
+
+          case 'getImageAlt':
+            sendResponse({ success: true, alt: this.getImageAlt(message.src) });
+            break;
         }
+      } catch (error) {
+        console.error('Content extraction failed:', error);
+        sendResponse({ success: false, error: error.message });
       }
       return true; // Keep message channel open for async response
     });
   }
 
-  extractPageContent() {
-    const url = window.location.href;
-    const domain = window.location.hostname;
-
-    try {
-      // Use Defuddle for intelligent content extraction
-      const defuddle = new Defuddle(document);
-      const defuddleResult = defuddle.parse();
-
-      console.log('🔍 Defuddle result structure:', {
-        title: defuddleResult.title?.substring(0, 50),
-        contentType: typeof defuddleResult.content,
-        contentPreview: defuddleResult.content?.substring(0, 200),
-        hasHTML: defuddleResult.content?.includes('<'),
-        keys: Object.keys(defuddleResult)
-      });
-
-      // Use Defuddle results with fallbacks to our manual methods
-      const title = defuddleResult.title || this.getTitle();
-      const description = defuddleResult.description || this.getDescription();
-      const author = defuddleResult.author || this.getAuthor();
-      const content = defuddleResult.content || this.getMainContent();
-
-      const wordCount = this.countWords(content);
-      const markdown = this.convertToMarkdown(content);
-      const timestamp = new Date().toISOString();
-
-      return {
-        url,
-        domain,
-        title,
-        description,
-        author,
-        content,
-        markdown,
-        wordCount,
-        timestamp
-      };
-    } catch (error) {
-      console.error('Defuddle extraction failed, falling back to manual extraction:', error);
-
-      // Fallback to original manual extraction
-      const title = this.getTitle();
-      const description = this.getDescription();
-      const author = this.getAuthor();
-      const content = this.getMainContent();
-      const wordCount = this.countWords(content);
-      const markdown = this.convertToMarkdown(content);
-      const timestamp = new Date().toISOString();
-
-      return {
-        url,
-        domain,
-        title,
-        description,
-        author,
-        content,
-        markdown,
-        wordCount,
-        timestamp
-      };
+  async extractContent(mode, strategy = 'auto') {
+    const rule = await this.getSiteRule();
+    if (mode === 'selection') return this.extractSelectionContent(rule);
+
+    const settings = await Settings.load();
+    if (settings.dynamicCapture) {
+      await new DynamicContent({
+        scroll: settings.dynamicScroll,
+        scrollLimit: settings.dynamicScrollLimit,
+        onProgress: text => this.reportProgress(text)
+      }).prepare();
     }
+    return this.createPageExtractor(settings.flattenShadowDom).extractPageContent(rule, strategy);
   }
 
-  getTitle() {
-    // Try multiple sources for title
-    const selectors = [
-      'h1',
-      'title',
-      '[property="og:title"]',
-      '[name="twitter:title"]',
-      '.title',
-      '.article-title'
-    ];
-
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        const title = (element.content || element.textContent || '').trim();
-        if (title && title.length > 3) {
-          return title;
-        }
-      }
-    }
+  reportProgress(text) {
+    // Shown on the popup's button while it is open; nobody may be listening
+    chrome.runtime.sendMessage({ action: 'captureProgress', text }).catch(() => {});
+  }
 
-    return document.title || 'Untitled Page';
+  createPageExtractor(flatten = false) {
+    // The URL is read per capture; single-page apps change it without reloading. Whole-page
+    // captures can read a copy that includes shadow DOM and same-origin frames
+    return new PageExtractor(flatten ? DomFlattener.flatten(document) : document, window.location.href);
   }
 
-  getDescription() {
-    // Try meta description and other sources
-    const selectors = [
-      '[name="description"]',
-      '[property="og:description"]',
-      '[name="twitter:description"]',
-      '.description',
-      '.excerpt',
-      'p'
-    ];
+  getImageAlt(src) {
+    // The context menu only reports the image URL; find the element to read its description
+    const image = [...document.images].find(img => img.currentSrc === src || img.src === src);
+    return (image?.alt || image?.title || '').trim();
+  }
 
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        const desc = (element.content || element.textContent || '').trim();
-        if (desc && desc.length > 10 && desc.length < 300) {
-          return desc;
-        }
-      }
+  async getSiteRule() {
+    try {
+      return SiteRules.find(await SiteRules.load(), window.location.href);
+    } catch (error) {
+      console.error('Loading site rules failed:', error);
+      return null;
     }
-
-    return '';
   }
 
-  getAuthor() {
-    // Try to find author information
-    const selectors = [
-      '[name="author"]',
-      '[property="article:author"]',
-      '[rel="author"]',
-      '.author',
-      '.byline',
-      '.writer'
-    ];
+  extractSelectionContent(rule = null) {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !selection.toString().trim()) {
+      throw new Error('No text selected. Select part of the page and try again.');
+    }
 
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        const author = (element.content || element.textContent || '').trim();
-        if (author && author.length > 2 && author.length < 100) {
-          return author;
-        }
-      }
+    // Keep the HTML structure of the selection, not just its text
+    const container = document.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+      container.appendChild(this.cloneRangeWithContext(selection.getRangeAt(i)));
     }
 
-    return '';
+    const page = this.createPageExtractor();
+    return page.buildResult({
+      ...page.getPageMetadata(rule),
+      content: page.cleanContent(container, rule?.remove)
+    }, rule);
   }
 
-  getMainContent() {
-    // Try to find main content area
-    const contentSelectors = [
-      'article',
-      'main',
-      '[role="main"]',
-      '.content',
-      '.post-content',
-      '.article-content',
-      '.entry-content',
-      '#content',
-      '.main-content'
+  extractElementContent(element, rule = null) {
+    const page = this.createPageExtractor();
+    return page.buildResult({
+      ...page.getPageMetadata(rule),
+      content: page.cleanContent(element, rule?.remove)
+    }, rule);
+  }
+
+  cloneRangeWithContext(range) {
+    // A range inside a <pre>, list or table clones as bare fragments; re-wrap it in
+    // shallow copies of those ancestors so the Markdown keeps its structure
+    const contextTags = [
+      'PRE', 'CODE', 'UL', 'OL', 'LI', 'TABLE', 'THEAD', 'TBODY', 'TR',
+      'BLOCKQUOTE', 'DL', 'A', 'STRONG', 'B', 'EM', 'I'
     ];
 
-    for (const selector of contentSelectors) {
-      const element = document.querySelector(selector);
-      if (element && element.textContent.trim().length > 100) {
-        return this.cleanContent(element);
-      }
+    let fragment = range.cloneContents();
+    let ancestor = range.commonAncestorContainer;
+    if (ancestor.nodeType !== Node.ELEMENT_NODE) {
+      ancestor = ancestor.parentNode;
     }
 
-    // Fallback: use body but remove navigation, footer, sidebar
-    const body = document.body.cloneNode(true);
-
-    // Remove unwanted elements
-    const unwanted = [
-      'nav', 'header', 'footer', 'aside', 'script', 'style',
-      '.navigation', '.nav', '.header', '.footer', '.sidebar',
-      '.ads', '.advertisement', '.social', '.comments'
-    ];
-
-    unwanted.forEach(selector => {
-      const elements = body.querySelectorAll(selector);
-      elements.forEach(el => el.remove());
-    });
+    while (ancestor && ancestor !== document.body) {
+      if (contextTags.includes(ancestor.tagName)) {
+        const wrapper = ancestor.cloneNode(false);
+        wrapper.appendChild(fragment);
+        fragment = wrapper;
+      }
+      ancestor = ancestor.parentNode;
+    }
 
-    return this.cleanContent(body);
+    return fragment;
   }
 
-  cleanContent(element) {
-    // Clone to avoid modifying original
-    const cleaned = element.cloneNode(true);
+  getSelectionLinks() {
+    // Web links in the selected region, for batch capture; one entry per page
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed) {
+      throw new Error('No text selected. Select the part of the page with the links and try again.');
+    }
 
-    // Remove unwanted elements
-    const unwanted = [
-      'script', 'style', 'noscript', 'iframe', 'embed', 'object',
-      '.ads', '.advertisement', '.social-share', '.newsletter',
-      '[style*="display: none"]', '[style*="visibility: hidden"]'
-    ];
+    const currentPage = window.location.href.split('#')[0];
+    const seen = new Set();
+    const links = [];
 
-    unwanted.forEach(selector => {
-      const elements = cleaned.querySelectorAll(selector);
-      elements.forEach(el => el.remove());
-    });
+    document.querySelectorAll('a[href]').forEach(anchor => {
+      if (!selection.containsNode(anchor, true)) return;
 
-    // Convert relative URLs to absolute
-    const links = cleaned.querySelectorAll('a[href]');
-    links.forEach(link => {
-      const href = link.getAttribute('href');
-      if (href && !href.startsWith('http') && !href.startsWith('//')) {
-        link.setAttribute('href', new URL(href, window.location.href).href);
-      }
-    });
+      const url = anchor.href.split('#')[0];
+      if (!/^https?:/.test(url) || url === currentPage || seen.has(url)) return;
 
-    const images = cleaned.querySelectorAll('img[src]');
-    images.forEach(img => {
-      const src = img.getAttribute('src');
-      if (src && !src.startsWith('http') && !src.startsWith('//')) {
-        img.setAttribute('src', new URL(src, window.location.href).href);
-      }
+      seen.add(url);
+      links.push({ url, title: anchor.textContent.trim().replace(/\s+/g, ' ') });
     });
 
-    return cleaned.innerHTML;
-  }
-
-  countWords(html) {
-    // Create temporary element to extract text
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-    const text = temp.textContent || temp.innerText || '';
+    if (links.length === 0) {
+      throw new Error('No links found in the selection.');
+    }
 
-    // Count words (split by whitespace, filter empty strings)
-    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    return links;
   }
 
-  convertToMarkdown(html) {
-    // Simple conversion: create clean text with basic markdown formatting
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-
-    // Get clean text and preserve some basic structure
-    let markdown = this.htmlToSimpleMarkdown(temp);
-
-    // Clean up the result - preserve paragraph structure
-    markdown = markdown
-      // Fix multiple spaces within lines (but preserve newlines)
-      .replace(/[ \t]+/g, ' ')
-      // Fix excessive newlines (3+ becomes 2)
-      .replace(/\n{3,}/g, '\n\n')
-      // Fix spaces around newlines
-      .replace(/ +\n/g, '\n')
-      .replace(/\n +/g, '\n')
-      // Trim
-      .trim();
-
-    return markdown;
-  }
+  async startElementPicker() {
+    if (this.elementPicker) {
+      this.elementPicker.stop();
+    }
 
-  htmlToSimpleMarkdown(element) {
-    let result = '';
+    const rule = await this.getSiteRule();
+    this.elementPicker = new ElementPicker({
+      onPick: element => this.saveElement(element, rule),
+      onCancel: () => {
+        this.elementPicker = null;
+      }
+    });
+    this.elementPicker.start();
+  }
 
-    for (const node of element.childNodes) {
-      if (node.nodeType === Node.TEXT_NODE) {
-        result += node.textContent;
-      } else if (node.nodeType === Node.ELEMENT_NODE) {
-        const tagName = node.tagName.toLowerCase();
-        const innerText = node.textContent.trim();
+  async saveElement(element, rule) {
+    // The popup closes once the page gets focus, so the picker saves on its own
+    try {
+      const data = this.extractElementContent(element, rule);
+      const result = await chrome.runtime.sendMessage({
+        action: 'saveMarkdown',
+        payload: data
+      });
 
-        switch (tagName) {
-          case 'h1':
-            result += `\n# ${this.htmlToSimpleMarkdown(node)}\n\n`;
-            break;
-          case 'h2':
-            result += `\n## ${this.htmlToSimpleMarkdown(node)}\n\n`;
-            break;
-          case 'h3':
-            result += `\n### ${this.htmlToSimpleMarkdown(node)}\n\n`;
-            break;
-          case 'h4':
-            result += `\n#### ${this.htmlToSimpleMarkdown(node)}\n\n`;
-            break;
-          case 'h5':
-            result += `\n##### ${this.htmlToSimpleMarkdown(node)}\n\n`;
-            break;
-          case 'h6':
-            result += `\n###### ${this.htmlToSimpleMarkdown(node)}\n\n`;
-            break;
-          case 'p':
-            result += `\n${this.htmlToSimpleMarkdown(node)}\n\n`;
-            break;
-          case 'strong':
-          case 'b':
-            result += `**${innerText}**`;
-            break;
-          case 'em':
-          case 'i':
-            result += `*${innerText}*`;
-            break;
-          case 'code':
-            result += `\`${innerText}\``;
-            break;
-          case 'pre':
-            result += `\n\`\`\`\n${innerText}\n\`\`\`\n\n`;
-            break;
-          case 'a':
-            const href = node.getAttribute('href') || '#';
-            result += `[${innerText}](${href})`;
-            break;
-          case 'img':
-            const src = node.getAttribute('src') || '';
-            const alt = node.getAttribute('alt') || '';
-            result += `![${alt}](${src})`;
-            break;
-          case 'br':
-            result += '\n';
-            break;
-          case 'hr':
-            result += '\n---\n\n';
-            break;
-          case 'blockquote':
-            result += `\n> ${this.htmlToSimpleMarkdown(node)}\n\n`;
-            break;
-          case 'ul':
-          case 'ol':
-            result += '\n';
-            const items = node.querySelectorAll('li');
-            items.forEach((item, index) => {
-              const bullet = tagName === 'ol' ? `${index + 1}.` : '-';
-              result += `${bullet} ${item.textContent.trim()}\n`;
-            });
-            result += '\n';
-            break;
-          case 'div':
-          case 'section':
-          case 'article':
-            // Block elements that might contain paragraphs
-            const divContent = this.htmlToSimpleMarkdown(node);
-            if (divContent.trim()) {
-              result += `\n${divContent}\n`;
-            }
-            break;
-          default:
-            // For other elements, just get their text content
-            result += this.htmlToSimpleMarkdown(node);
-        }
+      if (!result.success) {
+        throw new Error(result.error || 'Save failed');
       }
-    }
 
-    return result;
+      this.elementPicker.notify(result.message);
+    } catch (error) {
+      console.error('Element capture failed:', error);
+      this.elementPicker.notify(`Capture failed: ${error.message}`, true);
+    } finally {
+      this.elementPicker = null;
+    }
   }
 }
 
@@ -0,0 +1,52 @@
+// Flattened copy of a page for extraction
+// Web components keep their content in shadow roots and embedded docs in frames, neither
+// of which Defuddle or the fallback heuristics see. The copy has each open shadow root's
+// content (slots filled with what is assigned to them) in place of the host's children,
+// and each same-origin frame replaced by its body. The page itself is not touched
+
+class DomFlattener {
+  static flatten(doc) {
+    // A shallow clone keeps the document's URL, which Defuddle resolves links against
+    const copy = doc.cloneNode(false);
+    DomFlattener.copyNodes(doc.childNodes, copy).forEach(node => copy.appendChild(node));
+    return copy;
+  }
+
+  static copyNodes(nodes, target) {
+    return [...nodes].flatMap(node => DomFlattener.copyNode(node, target));
+  }
+
+  static copyNode(node, target) {
+    // Template content is inert and copied as it is
+    if (node.nodeType !== Node.ELEMENT_NODE || node.nodeName === 'TEMPLATE') return [target.importNode(node, true)];
+
+    // A slot shows what the light DOM assigned to it, or its own fallback content
+    if (node.nodeName === 'SLOT') {
+      const assigned = node.assignedNodes({ flatten: true });
+      return DomFlattener.copyNodes(assigned.length > 0 ? assigned : node.childNodes, target);
+    }
+
+    if (node.nodeName === 'IFRAME' || node.nodeName === 'FRAME') {
+      const body = DomFlattener.frameBody(node);
+      if (!body) return [target.importNode(node, false)];
+
+      const container = target.createElement('div');
+      DomFlattener.copyNodes(body.childNodes, target).forEach(child => container.appendChild(child));
+      return [container];
+    }
+
+    // Unassigned light DOM children are not rendered, so the shadow tree replaces them all
+    const copy = target.importNode(node, false);
+    DomFlattener.copyNodes((node.shadowRoot || node).childNodes, target).forEach(child => copy.appendChild(child));
+    return [copy];
+  }
+
+  static frameBody(frame) {
+    // Cross-origin frames throw or give null
+    try {
+      return frame.contentDocument?.body || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
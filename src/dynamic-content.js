@@ -0,0 +1,116 @@
+// Dynamic capture: bring a still-changing page into shape before extracting it
+// Waits for DOM changes to die down, opens <details> and "read more" style toggles, and
+// optionally scrolls to the bottom repeatedly so infinite-scroll pages load more items.
+// Works on the live page (content script); the scroll position is restored afterwards
+
+// The page counts as settled after this long without DOM changes, or at the timeout
+const DYNAMIC_QUIET_MS = 700;
+const DYNAMIC_SETTLE_TIMEOUT_MS = 6000;
+// Loading more after a scroll is usually quicker than the first render
+const DYNAMIC_SCROLL_TIMEOUT_MS = 3000;
+const DYNAMIC_MAX_TOGGLES = 40;
+const READ_MORE_LABEL = /^(?:read|show|see|view|load)\s+(?:more|all|full|the\s+rest|\d+\s+more)\b|^(?:expand|continue\s+reading)\b/i;
+// Toggles in site chrome open menus rather than content
+const SITE_CHROME = 'nav, header, footer, [role="navigation"], [role="menu"], [role="menubar"], [role="banner"]';
+
+class DynamicContent {
+  constructor({ scroll = false, scrollLimit = 10, onProgress = () => {} } = {}) {
+    this.scroll = scroll;
+    this.scrollLimit = scrollLimit;
+    this.onProgress = onProgress;
+    // A clicked toggle may keep its label once open; clicking again would close it
+    this.clicked = new WeakSet();
+  }
+
+  async prepare() {
+    this.onProgress('Waiting for the page to finish loading...');
+    await DynamicContent.settle(DYNAMIC_SETTLE_TIMEOUT_MS);
+
+    this.onProgress('Expanding collapsed sections...');
+    if (this.expand() > 0) await DynamicContent.settle(DYNAMIC_SETTLE_TIMEOUT_MS);
+
+    if (this.scroll) await this.scrollForMore();
+  }
+
+  async scrollForMore() {
+    const { scrollX, scrollY } = window;
+    const root = document.scrollingElement || document.documentElement;
+
+    try {
+      for (let step = 1; step <= this.scrollLimit; step++) {
+        this.onProgress(`Loading more content (${step} of ${this.scrollLimit})...`);
+        const height = root.scrollHeight;
+        window.scrollTo(scrollX, root.scrollHeight);
+        await DynamicContent.settle(DYNAMIC_SCROLL_TIMEOUT_MS);
+
+        // "Load more" buttons appear at the end of the list on some sites
+        if (this.expand() > 0) await DynamicContent.settle(DYNAMIC_SCROLL_TIMEOUT_MS);
+        // Nothing new arrived: the end of the feed, or it needs more than scrolling
+        if (root.scrollHeight <= height) break;
+      }
+    } finally {
+      window.scrollTo(scrollX, scrollY);
+    }
+  }
+
+  expand() {
+    // Returns how many things were opened, so callers know whether to wait again
+    let count = 0;
+
+    document.querySelectorAll('details:not([open])').forEach(details => {
+      if (details.closest(SITE_CHROME)) return;
+      details.open = true;
+      count++;
+    });
+
+    // "Load more" buttons are the exception: the same button loads the next batch
+    const toggles = [...document.querySelectorAll('button, [role="button"], a')]
+      .filter(element => DynamicContent.isReadMoreToggle(element) &&
+        (!this.clicked.has(element) || /^load\b/i.test(DynamicContent.labelOf(element))))
+      .slice(0, DYNAMIC_MAX_TOGGLES);
+    toggles.forEach(toggle => {
+      this.clicked.add(toggle);
+      toggle.click();
+    });
+
+    return count + toggles.length;
+  }
+
+  static isReadMoreToggle(element) {
+    // Links only when they stay on the page; hidden and disabled toggles are skipped
+    if (element.nodeName === 'A' && !/^(?:#|javascript:|$)/i.test(element.getAttribute('href') || '')) {
+      return false;
+    }
+    if (element.disabled || element.getAttribute('aria-expanded') === 'true') return false;
+    if (element.closest(SITE_CHROME) || element.getClientRects().length === 0) return false;
+
+    const label = DynamicContent.labelOf(element);
+    return label.length < 40 && READ_MORE_LABEL.test(label);
+  }
+
+  static labelOf(element) {
+    return (element.getAttribute('aria-label') || element.textContent).replace(/\s+/g, ' ').trim();
+  }
+
+  static settle(timeout) {
+    // Resolves once no nodes or text have changed for DYNAMIC_QUIET_MS; attribute changes
+    // are ignored since animations and timers produce them endlessly
+    return new Promise(resolve => {
+      let quiet;
+      const finish = () => {
+        observer.disconnect();
+        clearTimeout(quiet);
+        clearTimeout(limit);
+        resolve();
+      };
+      const observer = new MutationObserver(() => {
+        clearTimeout(quiet);
+        quiet = setTimeout(finish, DYNAMIC_QUIET_MS);
+      });
+      const limit = setTimeout(finish, timeout);
+
+      observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+      quiet = setTimeout(finish, DYNAMIC_QUIET_MS);
+    });
+  }
+}
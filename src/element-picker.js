@@ -0,0 +1,163 @@
+// Interactive element picker for capturing a single DOM subtree
+// Highlights the element under the cursor; click or Enter picks it,
+// ArrowUp/ArrowDown walk to the parent/back to the child, Escape cancels
+
+class ElementPicker {
+  constructor({ onPick, onCancel }) {
+    this.onPick = onPick;
+    this.onCancel = onCancel;
+    this.current = null;
+    this.history = [];
+
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+  }
+
+  start() {
+    this.overlay = document.createElement('div');
+    this.overlay.setAttribute('data-page-to-markdown', 'picker');
+    Object.assign(this.overlay.style, {
+      position: 'fixed',
+      zIndex: '2147483647',
+      pointerEvents: 'none',
+      background: 'rgba(37, 99, 235, 0.15)',
+      border: '2px solid #2563eb',
+      borderRadius: '4px',
+      transition: 'all 0.05s ease',
+      display: 'none'
+    });
+
+    this.label = document.createElement('div');
+    Object.assign(this.label.style, {
+      position: 'fixed',
+      zIndex: '2147483647',
+      pointerEvents: 'none',
+      left: '50%',
+      bottom: '16px',
+      transform: 'translateX(-50%)',
+      padding: '8px 12px',
+      background: '#0f172a',
+      color: '#ffffff',
+      font: '13px -apple-system, BlinkMacSystemFont, "Segoe UI", system-ui, sans-serif',
+      borderRadius: '6px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)'
+    });
+    this.label.textContent = 'Click an element to save it · ↑ parent · ↓ child · Esc cancel';
+
+    document.documentElement.appendChild(this.overlay);
+    document.documentElement.appendChild(this.label);
+
+    document.addEventListener('mousemove', this.handleMouseMove, true);
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    window.addEventListener('scroll', this.handleScroll, true);
+  }
+
+  stop() {
+    document.removeEventListener('mousemove', this.handleMouseMove, true);
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    window.removeEventListener('scroll', this.handleScroll, true);
+
+    this.overlay?.remove();
+    this.overlay = null;
+    this.current = null;
+    this.history = [];
+  }
+
+  notify(message, isError = false) {
+    // Reuse the hint label as a short-lived toast once picking is over
+    if (!this.label) return;
+
+    this.label.textContent = message;
+    this.label.style.background = isError ? '#dc2626' : '#10b981';
+    setTimeout(() => {
+      this.label?.remove();
+      this.label = null;
+    }, 2500);
+  }
+
+  handleMouseMove(event) {
+    const target = event.target;
+    if (!(target instanceof Element) || target === this.current) return;
+
+    this.history = [];
+    this.highlight(target);
+  }
+
+  handleClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    this.pick();
+  }
+
+  handleKeyDown(event) {
+    switch (event.key) {
+      case 'ArrowUp':
+        if (this.current?.parentElement && this.current.parentElement !== document.documentElement) {
+          this.history.push(this.current);
+          this.highlight(this.current.parentElement);
+        }
+        break;
+
+      case 'ArrowDown':
+        if (this.history.length > 0) {
+          this.highlight(this.history.pop());
+        }
+        break;
+
+      case 'Enter':
+        this.pick();
+        break;
+
+      case 'Escape':
+        this.stop();
+        this.label?.remove();
+        this.label = null;
+        this.onCancel();
+        break;
+
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  handleScroll() {
+    if (this.current) {
+      this.highlight(this.current);
+    }
+  }
+
+  highlight(element) {
+    this.current = element;
+
+    const rect = element.getBoundingClientRect();
+    Object.assign(this.overlay.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+
+    const id = element.id ? `#${element.id}` : '';
+    const className = typeof element.className === 'string' && element.className.trim()
+      ? `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+      : '';
+    this.label.textContent = `${element.tagName.toLowerCase()}${id}${className} · Click or Enter to save · ↑ parent · ↓ child · Esc cancel`;
+  }
+
+  pick() {
+    const element = this.current;
+    if (!element) return;
+
+    this.stop();
+    this.label.textContent = 'Saving…';
+    this.onPick(element);
+  }
+}
@@ -0,0 +1,83 @@
+// Quality signals for whole-page captures
+// How much of the page's text the capture kept, how much of it is link text, how many
+// headings it has, which method produced it (and whether that was a fallback) and how many
+// elements were removed on the way. The popup warns when these look off and offers the
+// other extraction methods for comparison
+
+// Below this share of the page's text the main content was probably missed, unless the
+// page has little text to begin with
+const QUALITY_MIN_TEXT_RATIO = 0.15;
+const QUALITY_MIN_PAGE_TEXT = 2000;
+const QUALITY_MIN_WORDS = 50;
+// Above this share of link text the capture is more likely a menu or an index than an article
+const QUALITY_MAX_LINK_DENSITY = 0.5;
+// Text that is never shown on the page
+const QUALITY_HIDDEN_TEXT = 'script, style, noscript, template';
+
+const FALLBACK_WARNINGS = {
+  rule: 'The site rule\'s content selector matched nothing, so automatic detection was used',
+  defuddle: 'Automatic detection failed or found no content, so the simpler main content search was used'
+};
+
+class ExtractionQuality {
+  // strategy: 'rule', 'defuddle', 'manual' (main content search) or 'body' (whole page);
+  // fallback: why the first choice was not used ('rule' or 'defuddle'), if it was not;
+  // removed: { rule, cleanup } elements dropped by site rule selectors and built-in cleanup
+  static measure(doc, contentHtml, { strategy, fallback = '', removed = { rule: 0, cleanup: 0 } }) {
+    const content = new DOMParser().parseFromString(contentHtml, 'text/html').body;
+    const text = ExtractionQuality.visibleText(content);
+    const pageText = ExtractionQuality.visibleText(doc.body);
+    const linkText = [...content.querySelectorAll('a')]
+      .reduce((total, link) => total + ExtractionQuality.visibleText(link).length, 0);
+
+    const report = {
+      strategy,
+      fallback,
+      textLength: text.length,
+      pageTextLength: pageText.length,
+      textRatio: ExtractionQuality.ratio(text.length, pageText.length),
+      linkDensity: ExtractionQuality.ratio(linkText, text.length),
+      headingCount: content.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
+      wordCount: text ? text.split(' ').length : 0,
+      removed: { ...removed }
+    };
+    return { ...report, warnings: ExtractionQuality.warnings(report) };
+  }
+
+  static warnings(report) {
+    const warnings = [];
+
+    if (report.fallback) {
+      warnings.push(FALLBACK_WARNINGS[report.fallback]);
+    }
+    if (report.wordCount < QUALITY_MIN_WORDS) {
+      warnings.push(`Only ${report.wordCount} ${report.wordCount === 1 ? 'word was' : 'words were'} captured`);
+    } else if (report.textRatio < QUALITY_MIN_TEXT_RATIO && report.pageTextLength >= QUALITY_MIN_PAGE_TEXT) {
+      warnings.push(`Only ${Math.round(report.textRatio * 100)}% of the page's text was captured`);
+    }
+    if (report.linkDensity > QUALITY_MAX_LINK_DENSITY && report.wordCount > 0) {
+      warnings.push(`${Math.round(report.linkDensity * 100)}% of the captured text is links, which suggests navigation or a list rather than the article`);
+    }
+
+    return warnings;
+  }
+
+  static visibleText(root) {
+    // Whitespace collapsed, so indentation in the markup does not count as text
+    if (!root) return '';
+
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.parentElement?.closest(QUALITY_HIDDEN_TEXT)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+
+    const parts = [];
+    while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  static ratio(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 100) / 100 : 0;
+  }
+}
@@ -0,0 +1,199 @@
+// Heading post-processing for converted Markdown
+// Normalizes heading levels (at most one top-level title, no skipped levels), works out
+// the GitHub-style anchors of the result, rewrites in-page #fragment links to them and
+// builds the optional table of contents
+
+const MARKDOWN_FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+// Link destinations: <...> or a bare URL with at most one level of parentheses
+const MARKDOWN_LINK_TARGET = /(\]\(\s*)(<[^>]*>|(?:\\.|\([^()\s]*\)|[^()\s\\])+)/g;
+
+class HeadingOutline {
+  static lines(markdown) {
+    // Each line with whether it belongs to a fenced code block (fence lines included)
+    let fence = null;
+
+    return markdown.split('\n').map(text => {
+      const marker = text.match(MARKDOWN_FENCE)?.[1];
+      if (fence) {
+        if (marker && marker[0] === fence[0] && marker.length >= fence.length && !text.trim().slice(marker.length)) {
+          fence = null;
+        }
+        return { text, code: true };
+      }
+      if (marker) {
+        fence = marker;
+        return { text, code: true };
+      }
+      return { text, code: false };
+    });
+  }
+
+  static anchorTargets(html) {
+    // Page ids that belong to a heading: on the heading, inside it, on an empty anchor
+    // just before it, or on a section it opens. Maps each id to the heading's text
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const targets = {};
+
+    doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+      const text = heading.textContent.replace(/\s+/g, ' ').trim();
+      if (!text) return;
+
+      const elements = [heading, ...heading.querySelectorAll('[id], a[name]')];
+      let previous = heading.previousElementSibling;
+      while (previous && !previous.textContent.trim() && (previous.id || previous.getAttribute('name'))) {
+        elements.push(previous);
+        previous = previous.previousElementSibling;
+      }
+      if (!heading.previousElementSibling && heading.parentElement?.id) {
+        elements.push(heading.parentElement);
+      }
+
+      elements.forEach(element => {
+        [element.id, element.getAttribute('name')].filter(Boolean).forEach(id => {
+          if (!(id in targets)) targets[id] = text;
+        });
+      });
+    });
+
+    return targets;
+  }
+
+  static normalize(markdown, { url = '', targets = {} } = {}) {
+    const lines = HeadingOutline.lines(markdown);
+    const headings = lines
+      .map((line, index) => ({ index, match: !line.code && line.text.match(MARKDOWN_HEADING) }))
+      .filter(heading => heading.match);
+
+    // A lone h1 leading the content is the title; everything else nests below level 2
+    const levelOnes = headings.filter(heading => heading.match[1].length === 1);
+    const title = levelOnes.length === 1 && headings[0]?.match[1].length === 1 ? headings[0] : null;
+
+    const stack = [];
+    const slugger = HeadingOutline.createSlugger();
+    const anchors = new Map();
+
+    headings.forEach(heading => {
+      const original = heading.match[1].length;
+      let level = 1;
+      if (heading !== title) {
+        // Depth among the enclosing headings, so h2 > h4 becomes h2 > h3
+        while (stack.length > 0 && stack[stack.length - 1] >= original) stack.pop();
+        stack.push(original);
+        level = Math.min(stack.length + 1, 6);
+      }
+
+      const text = heading.match[2];
+      const plain = HeadingOutline.plainText(text);
+      const slug = slugger(plain);
+      const key = plain.toLowerCase();
+      if (!anchors.has(key)) anchors.set(key, slug);
+
+      lines[heading.index].text = `${'#'.repeat(level)} ${text}`;
+    });
+
+    // In-page links go to the anchors of this document instead of back to the site
+    const fragments = new Map(Object.entries(targets)
+      .map(([id, text]) => [id, anchors.get(text.toLowerCase())])
+      .filter(([, slug]) => slug));
+    const slugs = new Set(anchors.values());
+
+    return lines.map(line => (line.code
+      ? line.text
+      : line.text.replace(MARKDOWN_LINK_TARGET, (match, before, target) => {
+        const fragment = HeadingOutline.fragmentOf(target.replace(/^<|>$/g, ''), url);
+        if (fragment === null) return match;
+
+        const slug = fragments.get(fragment) || (slugs.has(fragment) ? fragment : null);
+        return slug ? `${before}#${slug}` : match;
+      })
+    )).join('\n');
+  }
+
+  static fragmentOf(target, url) {
+    // "#id", or the page's own URL with a fragment; anything else is another page
+    if (target.startsWith('#')) return HeadingOutline.decode(target.slice(1));
+    if (!url || !target.includes('#')) return null;
+
+    try {
+      const link = new URL(target, url);
+      const page = new URL(url);
+      if (link.origin !== page.origin || link.pathname !== page.pathname || link.search !== page.search) return null;
+      return HeadingOutline.decode(link.hash.slice(1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static decode(fragment) {
+    try {
+      return decodeURIComponent(fragment);
+    } catch (error) {
+      return fragment;
+    }
+  }
+
+  static tableOfContents(markdown) {
+    // Nested list of the headings below the title, linked to their anchors; placed after
+    // the title when there is one, otherwise at the top
+    const lines = HeadingOutline.lines(markdown);
+    const slugger = HeadingOutline.createSlugger();
+    const entries = [];
+    let titleIndex = -1;
+
+    lines.forEach((line, index) => {
+      const heading = !line.code && line.text.match(MARKDOWN_HEADING);
+      if (!heading) return;
+
+      const level = heading[1].length;
+      const slug = slugger(HeadingOutline.plainText(heading[2]));
+      if (level === 1 && entries.length === 0 && titleIndex < 0) {
+        titleIndex = index;
+        return;
+      }
+      entries.push({ level, text: heading[2], slug });
+    });
+
+    if (entries.length < 2) return markdown;
+
+    const top = Math.min(...entries.map(entry => entry.level));
+    const toc = entries.map(entry => {
+      const label = HeadingOutline.plainText(entry.text).replace(/([\\[\]])/g, '\\$1');
+      return `${'  '.repeat(entry.level - top)}- [${label}](#${entry.slug})`;
+    }).join('\n');
+
+    const texts = lines.map(line => line.text);
+    texts.splice(titleIndex + 1, 0, ...(titleIndex >= 0 ? ['', toc] : [toc, '']));
+    return texts.join('\n').replace(/\n{3,}/g, '\n\n');
+  }
+
+  static plainText(text) {
+    // Heading text as rendered, which is what GitHub builds anchors from
+    return text
+      .replace(/!\[((?:\\.|[^\]\\])*)\]\([^)]*\)/g, '$1')
+      .replace(/\[((?:\\.|[^\]\\])*)\]\([^)]*\)/g, '$1')
+      .replace(/`+([^`]*)`+/g, '$1')
+      .replace(/(\*\*|__|~~|==|\*|_)(?=\S)(.*?\S)\1/g, '$2')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\\([^\w\s])/g, '$1')
+      .trim();
+  }
+
+  static createSlugger() {
+    // GitHub-style heading anchors; repeated headings get -1, -2, ... suffixes
+    const counts = new Map();
+
+    return (text) => {
+      const base = text
+        .replace(/\\([^\w\s])/g, '$1')
+        .toLowerCase()
+        .trim()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+
+      const count = counts.get(base) || 0;
+      counts.set(base, count + 1);
+      return count === 0 ? base : `${base}-${count}`;
+    };
+  }
+}
@@ -0,0 +1,160 @@
+// Capture history page - search, re-export and delete past captures
+// The entries live in the background service's IndexedDB; everything goes through messages
+
+const SEARCH_DELAY = 200;
+
+class HistoryPage {
+  constructor() {
+    this.elements = {
+      search: document.getElementById('history-search'),
+      count: document.getElementById('history-count'),
+      list: document.getElementById('history-list'),
+      empty: document.getElementById('history-empty'),
+      status: document.getElementById('status')
+    };
+
+    this.init();
+  }
+
+  init() {
+    this.elements.search.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.load(), SEARCH_DELAY);
+    });
+
+    // The popup links here with the page URL to show earlier captures of it
+    this.elements.search.value = new URLSearchParams(window.location.search).get('q') || '';
+    this.load();
+  }
+
+  async load() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'searchHistory', query: this.elements.search.value });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not read the history');
+      }
+      this.render(response.entries);
+    } catch (error) {
+      console.error('Loading history failed:', error);
+      this.setStatus(error.message, true);
+    }
+  }
+
+  render(entries) {
+    const query = this.elements.search.value.trim();
+    this.elements.count.textContent = query
+      ? `${entries.length} ${entries.length === 1 ? 'match' : 'matches'}`
+      : `${entries.length} ${entries.length === 1 ? 'capture' : 'captures'}`;
+
+    this.elements.list.replaceChildren(...entries.map(entry => this.renderEntry(entry)));
+    this.elements.empty.textContent = query ? 'No captures match your search.' : 'Nothing captured yet.';
+    this.elements.empty.classList.toggle('hidden', entries.length > 0);
+  }
+
+  renderEntry(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-entry';
+
+    const heading = document.createElement('div');
+    heading.className = 'entry-heading';
+
+    const title = document.createElement(entry.url ? 'a' : 'span');
+    title.className = 'entry-title';
+    title.textContent = entry.title || entry.url || 'Untitled';
+    if (entry.url) {
+      title.href = entry.url;
+      title.target = '_blank';
+      title.rel = 'noopener';
+    }
+    heading.append(title);
+
+    if (entry.captures > 1) {
+      const badge = document.createElement('span');
+      badge.className = 'entry-duplicate';
+      badge.textContent = `Captured ${entry.captures} times`;
+      badge.title = 'This page is in the history more than once';
+      heading.append(badge);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'entry-meta';
+    meta.textContent = [
+      new Date(entry.timestamp).toLocaleString(),
+      `${TextStats.format(entry.wordCount)} words`,
+      { clipboard: 'Copied to clipboard', vault: `Vault: ${entry.filename}` }[entry.target] || entry.filename
+    ].join(' · ');
+
+    const actions = document.createElement('div');
+    actions.className = 'entry-actions';
+    actions.append(
+      this.createButton('Download', () => this.handleDownload(entry)),
+      this.createButton('Copy', () => this.handleCopy(entry)),
+      this.createButton('Delete', () => this.handleDelete(entry, item))
+    );
+
+    item.append(heading, meta, actions);
+    return item;
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'secondary-action';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  async handleDownload(entry) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'redownloadCapture', id: entry.id });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Download failed');
+      }
+      this.setStatus(response.message);
+    } catch (error) {
+      console.error('Download failed:', error);
+      this.setStatus(error.message, true);
+    }
+  }
+
+  async handleCopy(entry) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getCapture', id: entry.id });
+      if (!response?.entry) {
+        throw new Error(response?.error || 'This capture is no longer in the history');
+      }
+      await navigator.clipboard.writeText(response.entry.content);
+      this.setStatus('Copied');
+    } catch (error) {
+      console.error('Copy failed:', error);
+      this.setStatus(`Copy failed: ${error.message}`, true);
+    }
+  }
+
+  async handleDelete(entry, item) {
+    if (!confirm(`Delete "${entry.title || entry.url}" from the history? Files already saved are kept.`)) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'deleteCapture', id: entry.id });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Delete failed');
+      }
+      item.remove();
+      this.setStatus('Deleted');
+      this.load();
+    } catch (error) {
+      console.error('Delete failed:', error);
+      this.setStatus(error.message, true);
+    }
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.status.textContent = message;
+    this.elements.status.classList.toggle('error', isError);
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new HistoryPage();
+});
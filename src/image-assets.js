@@ -0,0 +1,109 @@
+// Local copies of the images in a note
+// Fetches every image the Markdown references (including inline data: URIs) and rewrites
+// the links to files in an assets folder next to the note
+
+const IMAGE_FETCH_TIMEOUT = 20000;
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico'
+};
+
+class ImageAssets {
+  // Matches ![alt](url) and ![alt](url "title"); URLs may hold one level of parentheses
+  static PATTERN = /(!\[(?:\\.|[^\]\\])*\]\(\s*)(<[^>]*>|(?:\\.|\([^()\s]*\)|[^()\s\\])+)((?:\s+"(?:\\.|[^"\\])*")?\s*\))/g;
+
+  // Returns the rewritten Markdown, the fetched assets ({ name, blob }) and the URLs that
+  // could not be fetched (left pointing at the web)
+  static async localize(markdown, folder) {
+    const urls = [...new Set([...markdown.matchAll(ImageAssets.PATTERN)]
+      .map(match => ImageAssets.unwrap(match[2])))];
+
+    const assets = [];
+    const failed = [];
+    const localPaths = new Map();
+    const usedNames = new Set();
+
+    for (const url of urls) {
+      try {
+        const blob = await ImageAssets.fetchImage(url);
+        const name = ImageAssets.uniqueName(ImageAssets.fileName(url, blob.type, assets.length + 1), usedNames);
+        assets.push({ name, blob });
+        localPaths.set(url, `${encodeURI(folder)}/${encodeURIComponent(name)}`);
+      } catch (error) {
+        console.error(`Image download failed for ${url.slice(0, 100)}:`, error);
+        failed.push(url);
+      }
+    }
+
+    const rewritten = markdown.replace(ImageAssets.PATTERN, (match, before, url, after) => {
+      const localPath = localPaths.get(ImageAssets.unwrap(url));
+      return localPath ? `${before}${localPath}${after}` : match;
+    });
+
+    return { markdown: rewritten, assets, failed };
+  }
+
+  static unwrap(url) {
+    return url.replace(/^<|>$/g, '').replace(/\\([()])/g, '$1');
+  }
+
+  static async fetchImage(url) {
+    if (!/^(https?|data):/i.test(url)) {
+      throw new Error('Unsupported image URL');
+    }
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/') && !ImageAssets.extensionFromUrl(url)) {
+      throw new Error(`Not an image (${blob.type || 'unknown type'})`);
+    }
+    return blob;
+  }
+
+  static fileName(url, type, index) {
+    const extension = IMAGE_EXTENSIONS[type.split(';')[0]] || ImageAssets.extensionFromUrl(url) || 'img';
+
+    // Keep the original file name where there is one; data: URIs get a numbered name
+    let base = '';
+    if (!url.startsWith('data:')) {
+      try {
+        const path = decodeURIComponent(new URL(url).pathname);
+        base = path.split('/').pop().replace(/\.[^.]*$/, '');
+      } catch (error) {
+        base = '';
+      }
+    }
+
+    base = base.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+    return `${base || `image-${index}`}.${extension}`;
+  }
+
+  static extensionFromUrl(url) {
+    if (url.startsWith('data:')) return '';
+
+    const match = url.split(/[?#]/)[0].match(/\.(png|jpe?g|gif|webp|avif|svg|bmp|ico)$/i);
+    return match ? match[1].toLowerCase().replace('jpeg', 'jpg') : '';
+  }
+
+  static uniqueName(name, usedNames) {
+    const [, base, extension] = name.match(/^(.*)(\.[^.]*)$/);
+    let candidate = name;
+    for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+      candidate = `${base}-${n}${extension}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+}
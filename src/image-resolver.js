@@ -0,0 +1,189 @@
+// Image resolution for extracted content
+// Picks the real image URL out of srcset, <picture>, lazy-loading attributes and <noscript>
+// fallbacks so the Markdown links to the best available file, not whatever placeholder sits
+// in src; drops tracking pixels and spacers
+
+// Where lazy-loading scripts keep the real image until it scrolls into view
+const LAZY_SRC_ATTRIBUTES = [
+  'data-src', 'data-lazy-src', 'data-original', 'data-lazy', 'data-url',
+  'data-hi-res-src', 'data-full-src', 'data-orig-file'
+];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset'];
+
+const TRACKING_IMAGE = /(?:\/pixel\b|\/beacon\b|facebook\.com\/tr\b|google-analytics\.com|doubleclick\.net|scorecardresearch\.com|quantserve\.com|pixel\.wp\.com|\/b\/ss\/)/i;
+const SPACER_IMAGE = /(?:^|[/_-])(?:spacer|blank|transparent|clear|1x1|pixel)\.(?:gif|png)\b/i;
+// Inline placeholders: the media type, ";base64" if present, and the payload
+const DATA_URI = /^data:([^;,]*)((?:;[^;,]*)*),([\s\S]*)$/i;
+// An <svg> with nothing inside it, as lazy loaders use to reserve the image's size
+const EMPTY_SVG = /^\s*(?:<\?xml[^>]*>\s*)?<svg\b[^>]*?(?:\/>|>\s*<\/svg>)\s*$/i;
+
+class ImageResolver {
+  static resolveAll(root, baseUrl) {
+    ImageResolver.unwrapNoscript(root);
+    root.querySelectorAll('img').forEach(img => ImageResolver.resolve(img, baseUrl));
+  }
+
+  static resolve(img, baseUrl) {
+    const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+    const sources = picture ? [...picture.querySelectorAll('source')] : [];
+    const srcsets = [...sources, img]
+      .flatMap(element => ['srcset', ...LAZY_SRCSET_ATTRIBUTES].map(name => element.getAttribute(name)))
+      .filter(Boolean);
+
+    const best = ImageResolver.bestCandidate(srcsets.flatMap(srcset => ImageResolver.parseSrcset(srcset)));
+    const lazySrc = LAZY_SRC_ATTRIBUTES.map(name => img.getAttribute(name)).find(Boolean);
+    const src = best?.url || lazySrc || img.getAttribute('src');
+
+    // The <source> elements have served their purpose; leave a plain <img>
+    if (picture) {
+      picture.replaceWith(img);
+    }
+
+    if (!src || ImageResolver.isPlaceholder(src) || ImageResolver.isTracking(img, src)) {
+      img.remove();
+      return;
+    }
+
+    img.setAttribute('src', ImageResolver.absolute(src, baseUrl));
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+
+    // Caption doubles as alt text when the image has none
+    const caption = img.closest('figure')?.querySelector('figcaption');
+    if (!img.getAttribute('alt') && caption) {
+      img.setAttribute('alt', caption.textContent.replace(/\s+/g, ' ').trim());
+    }
+  }
+
+  static unwrapNoscript(root) {
+    // <noscript> holds the real <img> for visitors without JavaScript. If a lazy image
+    // sits right before it, that one is resolved from its attributes; otherwise the
+    // fallback takes its place
+    root.querySelectorAll('noscript').forEach(noscript => {
+      // Text while scripting is on (the live page), parsed elements in inert documents
+      const html = noscript.children.length > 0 ? noscript.innerHTML : noscript.textContent;
+      const fallback = new DOMParser().parseFromString(html, 'text/html');
+      const images = [...fallback.body.querySelectorAll('img')];
+      if (images.length === 0) return;
+
+      const previous = noscript.previousElementSibling;
+      const lazyImage = previous?.tagName === 'IMG' ? previous : previous?.querySelector('img');
+
+      if (lazyImage && ImageResolver.hasRealSource(lazyImage)) {
+        noscript.remove();
+        return;
+      }
+
+      if (lazyImage) {
+        (lazyImage.parentElement?.tagName === 'PICTURE' ? lazyImage.parentElement : lazyImage).remove();
+      }
+      noscript.replaceWith(...images.map(image => root.ownerDocument.importNode(image, true)));
+    });
+  }
+
+  static hasRealSource(img) {
+    const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+    const elements = [img, ...(picture ? picture.querySelectorAll('source') : [])];
+
+    return elements.some(element =>
+      ['srcset', ...LAZY_SRCSET_ATTRIBUTES, ...LAZY_SRC_ATTRIBUTES].some(name => element.getAttribute(name))) ||
+      (img.getAttribute('src') && !ImageResolver.isPlaceholder(img.getAttribute('src')));
+  }
+
+  static isPlaceholder(src) {
+    // Inline 1x1 GIFs and PNGs, empty SVGs and blank image files stand in for lazy-loaded
+    // ones; other inline images (icons, small charts) are real
+    if (src.startsWith('data:')) return ImageResolver.isPlaceholderData(src);
+    return SPACER_IMAGE.test(src.split(/[?#]/)[0]);
+  }
+
+  static isPlaceholderData(src) {
+    const [, type, parameters, payload] = src.match(DATA_URI) || [];
+    if (payload === undefined) return false;
+
+    let data;
+    try {
+      data = /;base64/i.test(parameters) ? atob(payload.replace(/\s+/g, '')) : decodeURIComponent(payload);
+    } catch (error) {
+      return false;
+    }
+
+    const byte = index => data.charCodeAt(index);
+    switch (type.toLowerCase()) {
+      case 'image/gif':
+        // Logical screen size, little-endian, after "GIF87a"/"GIF89a"
+        return data.startsWith('GIF8') && (byte(6) | byte(7) << 8) <= 1 && (byte(8) | byte(9) << 8) <= 1;
+      case 'image/png':
+        // IHDR width and height, big-endian, after the 8-byte signature and chunk header
+        return data.startsWith('\x89PNG') && data.slice(16, 24) === '\0\0\0\x01\0\0\0\x01';
+      case 'image/svg+xml':
+        return EMPTY_SVG.test(data);
+      default:
+        return false;
+    }
+  }
+
+  static isTracking(img, src) {
+    if (TRACKING_IMAGE.test(src)) return true;
+
+    // Declared as 1-2 pixels in either direction: pixels, spacers, rules
+    const size = name => {
+      const value = img.getAttribute(name) || img.style?.[name] || '';
+      const pixels = parseFloat(value);
+      return /^\s*[\d.]+\s*(px)?\s*$/.test(value) ? pixels : NaN;
+    };
+    return size('width') <= 2 || size('height') <= 2;
+  }
+
+  static parseSrcset(srcset) {
+    // Follows the HTML srcset rules closely enough for real pages: URLs may contain
+    // commas (image CDNs use them for transforms), descriptors may not
+    const candidates = [];
+    let rest = srcset;
+
+    while (rest) {
+      rest = rest.replace(/^[\s,]+/, '');
+      if (!rest) break;
+
+      let url = rest.match(/^\S+/)[0];
+      rest = rest.slice(url.length);
+
+      let descriptor = '';
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        descriptor = rest.match(/^[^,]*/)[0];
+        rest = rest.slice(descriptor.length);
+      }
+
+      const width = descriptor.match(/(\d+)w\b/);
+      const density = descriptor.match(/([\d.]+)x\b/);
+      candidates.push({
+        url,
+        width: width ? parseInt(width[1], 10) : 0,
+        density: density ? parseFloat(density[1]) : 1
+      });
+    }
+
+    return candidates.filter(candidate => candidate.url);
+  }
+
+  static bestCandidate(candidates) {
+    // Widest image wins; density descriptors only break ties
+    return candidates.reduce((best, candidate) => {
+      if (!best) return candidate;
+      if (candidate.width !== best.width) return candidate.width > best.width ? candidate : best;
+      return candidate.density > best.density ? candidate : best;
+    }, null);
+  }
+
+  static absolute(url, baseUrl) {
+    if (url.startsWith('data:')) return url;
+
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (error) {
+      return url;
+    }
+  }
+}
@@ -0,0 +1,110 @@
+// LLM profile: leaner Markdown and token-aware chunking
+// Long captures are split at heading boundaries into chunks under a token budget
+// (TextStats estimate); each chunk keeps the trail of headings it sits under so it can be
+// read on its own, and an index lists the chunks with their sizes. Needs heading-outline.js
+// and reference-links.js
+
+const MARKDOWN_IMAGE = /!\[(?:\\.|[^\]\\])*\]\(\s*(?:<[^>]*>|(?:\\.|\([^()\s]*\)|[^()\s\\])+)(?:\s+"(?:\\.|[^"\\])*")?\s*\)/g;
+// Link text may hold one image (linked images); the lookbehind skips the images themselves
+const MARKDOWN_LINK = /(?<!!)\[((?:!\[(?:\\.|[^\]\\])*\]\([^)]*\)|\\.|[^\]\\])*)\]\(\s*(?:<[^>]*>|(?:\\.|\([^()\s]*\)|[^()\s\\])+)(?:\s+"(?:\\.|[^"\\])*")?\s*\)/g;
+
+class MarkdownChunker {
+  static strip(markdown, { stripImages, stripLinks }) {
+    // Code blocks and code spans are left exactly as captured
+    const lines = HeadingOutline.lines(markdown).map(({ text, code }) => {
+      if (code) return text;
+
+      const stripped = ReferenceLinks.outsideCodeSpans(text, segment => {
+        let result = segment;
+        if (stripImages) result = result.replace(MARKDOWN_IMAGE, '');
+        if (stripLinks) result = result.replace(MARKDOWN_LINK, '$1');
+        return result;
+      });
+      if (stripped === text) return text;
+      // A line that only held an image (or an image link) goes away completely
+      return stripped.trim() ? stripped.trimEnd() : null;
+    });
+
+    return lines.filter(line => line !== null).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  static sections(markdown) {
+    // Text before the first heading is a section with an empty trail
+    const sections = [{ trail: [], lines: [] }];
+    const trail = [];
+
+    HeadingOutline.lines(markdown).forEach(({ text, code }) => {
+      const heading = !code && text.match(MARKDOWN_HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        trail.splice(level - 1, trail.length, heading[2]);
+        sections.push({ trail: trail.filter(Boolean), lines: [] });
+      }
+      sections[sections.length - 1].lines.push({ text, code });
+    });
+
+    return sections
+      .map(section => ({ trail: section.trail, lines: section.lines, text: section.lines.map(line => line.text).join('\n').trim() }))
+      .filter(section => section.text);
+  }
+
+  static chunk(markdown, maxTokens) {
+    // Whole sections where they fit; larger ones by paragraph, then by line (a single
+    // line over the budget stays whole). A split section starts a new chunk so its
+    // heading is not left at the end of the previous one
+    const units = MarkdownChunker.sections(markdown).flatMap(section => {
+      if (TextStats.estimateTokens(section.text) <= maxTokens) {
+        return [{ trail: section.trail, text: section.text }];
+      }
+
+      return MarkdownChunker.paragraphs(section.lines).flatMap(paragraph =>
+        TextStats.estimateTokens(paragraph) <= maxTokens
+          ? [paragraph]
+          : paragraph.split('\n')
+      ).map((text, index) => ({ trail: section.trail, text, split: index === 0 }));
+    });
+
+    const chunks = [];
+    let current = null;
+    units.forEach(unit => {
+      const text = current ? `${current.markdown}\n\n${unit.text}` : unit.text;
+      if (current && !unit.split && TextStats.estimateTokens(text) <= maxTokens) {
+        current.markdown = text;
+        return;
+      }
+
+      current = { breadcrumb: unit.trail, markdown: unit.text };
+      chunks.push(current);
+    });
+
+    return chunks.map(chunk => ({ ...chunk, tokens: TextStats.estimateTokens(chunk.markdown) }));
+  }
+
+  static paragraphs(lines) {
+    // Blank lines separate paragraphs, except inside code blocks
+    const paragraphs = [[]];
+    lines.forEach(({ text, code }) => {
+      if (!code && !text.trim()) {
+        paragraphs.push([]);
+      } else {
+        paragraphs[paragraphs.length - 1].push(text);
+      }
+    });
+    return paragraphs.filter(paragraph => paragraph.length > 0).map(paragraph => paragraph.join('\n'));
+  }
+
+  static index(data, chunks, names, maxTokens) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+    const rows = chunks.map((chunk, index) => {
+      const section = chunk.breadcrumb.join(' › ').replace(/\|/g, '\\|') || '(introduction)';
+      return `| [${index + 1}](<${names[index]}>) | ${section} | ${TextStats.format(chunk.tokens)} |`;
+    });
+
+    return [
+      `# ${data.title || data.url}`,
+      `Split into ${chunks.length} chunks of at most ${TextStats.format(maxTokens)} tokens ` +
+        `(about ${TextStats.format(total)} in total, estimated).`,
+      ['| Chunk | Section | Tokens |', '| ---: | --- | ---: |', ...rows].join('\n')
+    ].join('\n\n');
+  }
+}
@@ -0,0 +1,536 @@
+// Markdown converter for extracted page content
+// Wraps Turndown (loaded as a script tag, like Defuddle) with GFM-style rules
+
+// Footnote markup from pandoc, markdown-it, kramdown, WordPress plugins and Wikipedia:
+// references point at a note by fragment, and the note links back to the reference
+const FOOTNOTE_REFERENCE = 'sup > a[href*="#fn"], a[role="doc-noteref"], sup.reference > a[href*="#cite_note"], a.footnote-ref';
+const FOOTNOTE_BACKLINK = 'a[role="doc-backlink"], a[href*="#fnref"], a[href*="#cite_ref"], a.footnote-back, a.reversefootnote, .mw-cite-backlink';
+
+class MarkdownConverter {
+  constructor() {
+    this.turndownService = this.createTurndownService();
+  }
+
+  convert(html) {
+    // Footnotes need the whole document: references and notes are matched up before conversion
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const notes = this.extractFootnotes(doc.body);
+    const markdown = this.turndownService.turndown(doc.body);
+    const definitions = notes.map(note => `[^${note.label}]: ${note.markdown}`);
+
+    return [markdown, ...definitions].join('\n\n')
+      // Fix excessive newlines (3+ becomes 2)
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  extractFootnotes(root) {
+    // Replaces each reference with a <footnote-ref> placeholder (see the footnoteReference
+    // rule) and takes the notes out of the page; they are appended as [^n]: definitions
+    const notes = new Map();
+
+    MarkdownConverter.footnoteReferences(root).forEach(({ link, id, note }) => {
+      if (!notes.has(id)) {
+        notes.set(id, { label: notes.size + 1, element: note });
+      }
+
+      const placeholder = root.ownerDocument.createElement('footnote-ref');
+      // Text content keeps Turndown from dropping it as a blank element
+      placeholder.textContent = notes.get(id).label;
+      MarkdownConverter.referenceElement(link).replaceWith(placeholder);
+    });
+
+    return [...notes.values()].map(({ label, element }) => {
+      const note = element.cloneNode(true);
+      note.querySelectorAll(FOOTNOTE_BACKLINK).forEach(backlink => backlink.remove());
+      this.removeFootnote(element);
+
+      // Further paragraphs of a note are indented under its definition
+      const markdown = this.turndownService.turndown(note)
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+        .replace(/\n(?!\n|$)/g, '\n    ');
+      return { label, markdown };
+    });
+  }
+
+  removeFootnote(note) {
+    // The note, then its list and wrappers ("section.footnotes", Wikipedia's reflist) once empty
+    let element = note;
+    while (element.parentElement && element.parentElement.nodeName !== 'BODY') {
+      const parent = element.parentElement;
+      element.remove();
+      if (parent.textContent.trim() || parent.querySelector('img')) return;
+      element = parent;
+    }
+    element.remove();
+  }
+
+  static footnoteReferences(root) {
+    // Reference links with the note each points at; backlinks and links elsewhere are skipped
+    return [...root.querySelectorAll(FOOTNOTE_REFERENCE)].flatMap(link => {
+      if (link.matches(FOOTNOTE_BACKLINK)) return [];
+
+      const id = MarkdownConverter.fragmentOf(link.getAttribute('href'));
+      const note = id && root.ownerDocument.getElementById(id);
+      return note && !note.contains(link) && root.contains(note) ? [{ link, id, note }] : [];
+    });
+  }
+
+  static referenceElement(link) {
+    // The <sup> around a reference goes with it, unless it holds more than the link
+    const sup = link.closest('sup');
+    return sup && sup.textContent.trim() === link.textContent.trim() ? sup : link;
+  }
+
+  static standardizeFootnotes(root) {
+    // Runs on the page before Defuddle, which keeps footnotes only in its own format
+    // (sup#fnref:1 > a[href="#fn:1"], notes with id "fn:1") and drops or mislabels others,
+    // e.g. pandoc's a.footnote-ref. The "note-" labels cannot clash with the numbers it gives
+    // notes of its own; backlinks go, as conversion would drop them anyway
+    const doc = root.ownerDocument;
+    const labels = new Map();
+
+    MarkdownConverter.footnoteReferences(root).forEach(({ link, note }) => {
+      const first = !labels.has(note);
+      if (first) labels.set(note, labels.size + 1);
+
+      const label = labels.get(note);
+      const sup = doc.createElement('sup');
+      if (first) sup.id = `fnref:note-${label}`;
+      const anchor = doc.createElement('a');
+      anchor.setAttribute('href', `#fn:note-${label}`);
+      anchor.textContent = label;
+      sup.appendChild(anchor);
+      MarkdownConverter.referenceElement(link).replaceWith(sup);
+    });
+
+    labels.forEach((label, note) => {
+      note.id = `fn:note-${label}`;
+      note.querySelectorAll(FOOTNOTE_BACKLINK).forEach(backlink => backlink.remove());
+    });
+  }
+
+  static fragmentOf(href) {
+    const hash = (href || '').split('#')[1];
+    if (!hash) return '';
+    try {
+      return decodeURIComponent(hash);
+    } catch (error) {
+      return hash;
+    }
+  }
+
+  createTurndownService() {
+    const service = new TurndownService({
+      headingStyle: 'atx',
+      hr: '---',
+      bulletListMarker: '-',
+      codeBlockStyle: 'fenced',
+      emDelimiter: '*',
+      strongDelimiter: '**',
+      linkStyle: 'inlined'
+    });
+
+    service.remove(['script', 'style', 'noscript', 'template']);
+
+    // Lists: marker width decides the indentation of nested content
+    service.addRule('listItem', {
+      filter: 'li',
+      replacement: (content, node, options) => {
+        const parent = node.parentNode;
+        let prefix = `${options.bulletListMarker} `;
+
+        if (parent.nodeName === 'OL') {
+          const items = Array.from(parent.children).filter(child => child.nodeName === 'LI');
+          const start = parseInt(parent.getAttribute('start'), 10);
+          prefix = `${(isNaN(start) ? 1 : start) + items.indexOf(node)}. `;
+        }
+
+        const indented = content
+          .replace(/^\n+/, '')
+          .replace(/\n+$/, '\n')
+          .replace(/\n(?!\n|$)/g, `\n${' '.repeat(prefix.length)}`);
+
+        return prefix + indented + (node.nextSibling && !/\n$/.test(indented) ? '\n' : '');
+      }
+    });
+
+    service.addRule('taskListItem', {
+      filter: node => node.nodeName === 'INPUT' &&
+        (node.getAttribute('type') || '').toLowerCase() === 'checkbox' &&
+        this.isInsideListItem(node),
+      replacement: (content, node) => {
+        const next = node.nextSibling;
+        const spaced = next && next.nodeType === 3 && /^\s/.test(next.nodeValue);
+        return (node.hasAttribute('checked') ? '[x]' : '[ ]') + (spaced ? '' : ' ');
+      }
+    });
+
+    service.addRule('strikethrough', {
+      filter: ['del', 's', 'strike'],
+      replacement: content => (content.trim() ? `~~${content}~~` : '')
+    });
+
+    service.addRule('footnoteReference', {
+      filter: node => node.nodeName === 'FOOTNOTE-REF',
+      replacement: content => `[^${content}]`
+    });
+
+    // Formulas with a TeX source (see RichContent); other MathML keeps its text
+    service.addRule('math', {
+      filter: 'math',
+      replacement: (content, node) => this.convertMath(node, content)
+    });
+
+    service.addRule('highlight', {
+      filter: 'mark',
+      replacement: content => (content.trim() ? `==${content}==` : '')
+    });
+
+    service.addRule('definitionList', {
+      filter: 'dl',
+      replacement: content => `\n\n${content}\n\n`
+    });
+
+    service.addRule('definitionTerm', {
+      filter: 'dt',
+      replacement: content => `\n\n${content.replace(/\s*\n+\s*/g, ' ').trim()}\n`
+    });
+
+    service.addRule('definitionDescription', {
+      filter: 'dd',
+      replacement: content => {
+        const body = content.replace(/^\n+|\n+$/g, '').replace(/\n(?!\n|$)/g, '\n    ');
+        return `\n: ${body}\n`;
+      }
+    });
+
+    // Code: one rule for every <pre>, whichever highlighter produced it
+    service.addRule('codeBlock', {
+      filter: 'pre',
+      replacement: (content, node) => this.convertCodeBlock(node)
+    });
+
+    service.addRule('inlineCode', {
+      filter: node => node.nodeName === 'CODE' && node.parentNode.nodeName !== 'PRE',
+      replacement: (content, node) => this.convertInlineCode(node)
+    });
+
+    service.addRule('table', {
+      filter: 'table',
+      replacement: (content, node) => this.convertTable(node, content)
+    });
+
+    // Figure captions become an italic line under the image
+    service.addRule('figureCaption', {
+      filter: 'figcaption',
+      replacement: content => {
+        const caption = content.replace(/\s*\n+\s*/g, ' ').trim();
+        if (!caption) return '';
+        return /^\*.*\*$/.test(caption) ? `\n\n${caption}\n\n` : `\n\n*${caption}*\n\n`;
+      }
+    });
+
+    // Added last so it is checked first: copy buttons, toolbars and line-number gutters
+    service.addRule('codeChrome', {
+      filter: node => MarkdownConverter.isCodeChrome(node),
+      replacement: () => ''
+    });
+
+    return service;
+  }
+
+  isInsideListItem(node) {
+    // Checkboxes are usually direct children of <li>, sometimes wrapped in a <label> or <p>
+    let parent = node.parentNode;
+    for (let depth = 0; parent && depth < 3; depth++) {
+      if (parent.nodeName === 'LI') return true;
+      parent = parent.parentNode;
+    }
+    return false;
+  }
+
+  convertCodeBlock(pre) {
+    const code = MarkdownConverter.getCodeText(pre)
+      .replace(/\r\n?/g, '\n')
+      .replace(/\u00a0/g, ' ')
+      .replace(/^\n+|\n+$/g, '');
+
+    if (!code.trim() || MarkdownConverter.isGutter(pre)) return '';
+
+    // Fence must be longer than any backtick run inside the code
+    const runs = code.match(/`+/g) || [];
+    const fenceSize = Math.max(3, ...runs.map(run => run.length + 1));
+    const fence = '`'.repeat(fenceSize);
+
+    return `\n\n${fence}${MarkdownConverter.detectCodeLanguage(pre)}\n${code}\n${fence}\n\n`;
+  }
+
+  static getCodeText(node) {
+    // Like textContent, but honours <br> and per-line block wrappers and skips gutters
+    let text = '';
+
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        text += child.nodeValue;
+      } else if (child.nodeType === 1 && !MarkdownConverter.isCodeChrome(child)) {
+        if (child.nodeName === 'BR') {
+          text += '\n';
+          continue;
+        }
+
+        text += MarkdownConverter.getCodeText(child);
+
+        if (['DIV', 'P', 'LI', 'TR'].includes(child.nodeName) && !text.endsWith('\n')) {
+          text += '\n';
+        }
+      }
+    }
+
+    return text;
+  }
+
+  static standardizeCodeBlocks(root) {
+    // Runs on the page before Defuddle, which rewrites every <pre> but knows fewer language
+    // hints and gutters: each block becomes its plain code, without line numbers, in a
+    // <code>, and the language found here goes on both as data-lang and a language- class
+    const doc = root.ownerDocument;
+
+    root.querySelectorAll('pre').forEach(pre => {
+      if (!root.contains(pre)) return;
+      if (MarkdownConverter.isGutter(pre)) {
+        (pre.closest('td') || pre).remove();
+        return;
+      }
+
+      const language = MarkdownConverter.detectCodeLanguage(pre);
+      const code = doc.createElement('code');
+      code.textContent = MarkdownConverter.getCodeText(pre);
+      if (language) {
+        [pre, code].forEach(element => {
+          element.setAttribute('data-lang', language);
+          element.classList.add(`language-${language}`);
+        });
+      }
+      pre.replaceChildren(code);
+    });
+  }
+
+  static isGutter(pre) {
+    // Pygments-style tables render the gutter as a separate <pre> of numbers
+    return /^[\d\s]*$/.test(pre.textContent) && MarkdownConverter.isInsideGutter(pre);
+  }
+
+  static isInsideGutter(pre) {
+    let element = pre.parentNode;
+    for (let depth = 0; element && element.nodeType === 1 && depth < 4; depth++) {
+      if (/line-?numbers?|linenos?\b|lineno|gutter/i.test(element.getAttribute('class') || '')) return true;
+      element = element.parentNode;
+    }
+    return false;
+  }
+
+  static detectCodeLanguage(pre) {
+    // Highlighters put the hint on <code>, on <pre>, or on a wrapper div (GitHub, Rouge,
+    // Docusaurus); Sphinx's div.highlight-python may sit above a line-number table
+    const candidates = [
+      pre.querySelector('code'), pre, pre.parentNode, pre.parentNode && pre.parentNode.parentNode,
+      pre.closest('[class*="highlight-"]')
+    ];
+    const classPatterns = [
+      /(?:^|\s)(?:language|lang)-([\w#+.-]+)/i,
+      /(?:^|\s)highlight-(?:source-|text-)?([\w#+.]+)/i,
+      /(?:^|\s)brush:\s*([\w#+.-]+)/i,
+      /(?:^|\s)sourceCode\s+([\w#+.-]+)/
+    ];
+    const ignored = ['none', 'nohighlight', 'no-highlight', 'plain', 'plaintext', 'text', 'txt'];
+
+    for (const element of candidates) {
+      if (!element || element.nodeType !== 1) continue;
+
+      const attribute = element.getAttribute('data-lang') ||
+        element.getAttribute('data-language') ||
+        element.getAttribute('data-code-language');
+      const className = element.getAttribute('class') || '';
+      const match = classPatterns.map(pattern => className.match(pattern)).find(Boolean);
+      const language = (attribute || (match ? match[1] : '')).trim().toLowerCase();
+
+      if (language && /^[\w#+.-]+$/.test(language)) {
+        return ignored.includes(language) ? '' : language;
+      }
+    }
+
+    return '';
+  }
+
+  convertMath(node, content) {
+    const tex = this.getTexSource(node);
+    if (!tex) return content;
+
+    if (node.getAttribute('display') === 'block') return `\n\n$$\n${tex}\n$$\n\n`;
+    return `$${tex.replace(/\s*\n\s*/g, ' ')}$`;
+  }
+
+  getTexSource(node) {
+    // Defuddle's data-latex, a TeX annotation, or alttext (Wikipedia wraps that in
+    // {\displaystyle ...}, which is dropped when it encloses the whole formula)
+    const tex = (node.getAttribute('data-latex') ||
+      node.querySelector('annotation[encoding="application/x-tex"]')?.textContent ||
+      node.getAttribute('alttext') || '').trim();
+
+    const styled = tex.match(/^\{\\(?:display|text)style\s+([\s\S]*)\}$/);
+    if (!styled) return tex;
+
+    let depth = 0;
+    for (const char of styled[1].replace(/\\./g, '')) {
+      if (char === '{') depth++;
+      if (char === '}' && --depth < 0) return tex;
+    }
+    return depth === 0 ? styled[1].trim() : tex;
+  }
+
+  convertInlineCode(node) {
+    const code = node.textContent.replace(/\r?\n|\r/g, ' ');
+    if (!code) return '';
+
+    // Delimiter must be a backtick run that does not occur inside the code
+    const runs = code.match(/`+/g) || [];
+    let delimiter = '`';
+    while (runs.includes(delimiter)) delimiter += '`';
+
+    const padding = /^`|`$/.test(code) || /^ .*[^ ].* $/.test(code) ? ' ' : '';
+    return delimiter + padding + code + padding + delimiter;
+  }
+
+  static isCodeChrome(node) {
+    // Never the code itself, nor a wrapper around it (Prism's div.code-toolbar, pre.line-numbers)
+    if (node.nodeType !== 1 || ['PRE', 'CODE'].includes(node.nodeName) || node.querySelector('pre, code')) {
+      return false;
+    }
+
+    const className = node.getAttribute('class') || '';
+    const text = node.textContent.trim();
+
+    if (/line-?numbers?|linenos?\b|lineno|gutter|hljs-ln-numbers/i.test(className)) {
+      return /^[\d\s]*$/.test(text);
+    }
+
+    if (/clipboard|toolbar|copy-?(button|btn|code)/i.test(className) || /(?:^|\s)copy(?:\s|$)/i.test(className)) {
+      return text.length < 30;
+    }
+
+    // Copy buttons that only identify themselves through their label
+    if (node.nodeName === 'BUTTON') {
+      const label = `${node.getAttribute('aria-label') || ''} ${node.getAttribute('title') || ''} ${text}`;
+      return /\bcopy\b/i.test(label);
+    }
+
+    return false;
+  }
+
+  convertTable(table, content) {
+    const rows = Array.from(table.rows || []);
+    const grid = this.buildTableGrid(rows);
+    const columnCount = Math.max(0, ...grid.map(row => row.length));
+
+    // Layout tables (single cell, wrapping other tables, or code with a gutter column) are unwrapped
+    if (columnCount === 0) return '';
+    if ((grid.length === 1 && columnCount === 1) || table.querySelector('table, pre')) {
+      return `\n\n${content}\n\n`;
+    }
+
+    const normalized = grid.map(row => {
+      const cells = [];
+      for (let i = 0; i < columnCount; i++) {
+        cells.push(row[i] || '');
+      }
+      return cells;
+    });
+
+    const hasHeader = this.isHeaderRow(rows[0]);
+    const header = hasHeader ? normalized[0] : new Array(columnCount).fill('');
+    const body = hasHeader ? normalized.slice(1) : normalized;
+    const alignments = this.getColumnAlignments(rows[0], columnCount);
+
+    const lines = [
+      this.formatTableRow(header),
+      this.formatTableRow(alignments.map(align => {
+        if (align === 'center') return ':---:';
+        if (align === 'right') return '---:';
+        if (align === 'left') return ':---';
+        return '---';
+      })),
+      ...body.map(row => this.formatTableRow(row))
+    ];
+
+    const caption = table.caption ? this.convertTableCell(table.caption) : '';
+    return `\n\n${caption ? `${caption}\n\n` : ''}${lines.join('\n')}\n\n`;
+  }
+
+  buildTableGrid(rows) {
+    // Expand colspan/rowspan by repeating the cell content into every slot it covers
+    const grid = rows.map(() => []);
+
+    rows.forEach((row, rowIndex) => {
+      let column = 0;
+
+      Array.from(row.cells).forEach(cell => {
+        while (grid[rowIndex][column] !== undefined) column++;
+
+        const text = this.convertTableCell(cell);
+        const colspan = Math.min(Math.max(parseInt(cell.getAttribute('colspan'), 10) || 1, 1), 1000);
+        const rowspan = Math.max(parseInt(cell.getAttribute('rowspan'), 10) || 1, 1);
+
+        for (let r = rowIndex; r < Math.min(rowIndex + rowspan, rows.length); r++) {
+          for (let c = column; c < column + colspan; c++) {
+            grid[r][c] = text;
+          }
+        }
+
+        column += colspan;
+      });
+    });
+
+    return grid;
+  }
+
+  convertTableCell(cell) {
+    return this.turndownService.turndown(cell)
+      .replace(/\n+/g, '<br>')
+      .replace(/\|/g, '\\|')
+      .trim();
+  }
+
+  isHeaderRow(row) {
+    if (!row) return false;
+    if (row.parentNode.nodeName === 'THEAD') return true;
+
+    const cells = Array.from(row.cells);
+    return cells.length > 0 && cells.every(cell => cell.nodeName === 'TH');
+  }
+
+  getColumnAlignments(row, columnCount) {
+    const alignments = new Array(columnCount).fill('');
+    if (!row) return alignments;
+
+    let column = 0;
+    Array.from(row.cells).forEach(cell => {
+      const style = cell.getAttribute('style') || '';
+      const styleMatch = style.match(/text-align\s*:\s*(left|center|right)/i);
+      const align = (cell.getAttribute('align') || (styleMatch ? styleMatch[1] : '')).toLowerCase();
+      const colspan = Math.max(parseInt(cell.getAttribute('colspan'), 10) || 1, 1);
+
+      for (let c = column; c < Math.min(column + colspan, columnCount); c++) {
+        alignments[c] = align;
+      }
+      column += colspan;
+    });
+
+    return alignments;
+  }
+
+  formatTableRow(cells) {
+    return `| ${cells.join(' | ')} |`;
+  }
+}
@@ -0,0 +1,199 @@
+// Differences between two captures of the same page
+// Line diff (longest common subsequence) written as unified diff hunks, plus word-level
+// marks (~~removed~~ ==added==) for the changed lines so edits inside a paragraph stand out
+
+const DIFF_CONTEXT_LINES = 3;
+// Larger comparisons would need too much memory for the table; the differing middle
+// of the two documents is then reported as replaced as a whole
+const DIFF_MAX_CELLS = 25000000;
+
+class MarkdownDiff {
+  static diff(before, after) {
+    // Captures of the same page mostly share their start and end; only the middle is compared
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+      endBefore--;
+      endAfter--;
+    }
+
+    return [
+      ...before.slice(0, start).map(text => ({ type: 'same', text })),
+      ...MarkdownDiff.compareMiddle(before.slice(start, endBefore), after.slice(start, endAfter)),
+      ...before.slice(endBefore).map(text => ({ type: 'same', text }))
+    ];
+  }
+
+  static compareMiddle(before, after) {
+    const removed = before.map(text => ({ type: 'removed', text }));
+    const added = after.map(text => ({ type: 'added', text }));
+    if (before.length === 0 || after.length === 0 || (before.length + 1) * (after.length + 1) > DIFF_MAX_CELLS) {
+      return [...removed, ...added];
+    }
+
+    // table[i][j]: length of the common subsequence of before[i..] and after[j..]
+    const width = after.length + 1;
+    const table = new Uint16Array((before.length + 1) * width);
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        table[i * width + j] = before[i] === after[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    // Removals come before additions so edited lines pair up
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+      if (before[i] === after[j]) {
+        ops.push({ type: 'same', text: before[i] });
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        ops.push(removed[i++]);
+      } else {
+        ops.push(added[j++]);
+      }
+    }
+    return [...ops, ...removed.slice(i), ...added.slice(j)];
+  }
+
+  static unified(ops, beforeLabel, afterLabel) {
+    const changes = ops.map((op, index) => (op.type === 'same' ? -1 : index)).filter(index => index >= 0);
+    if (changes.length === 0) return '';
+
+    // Changes closer than twice the context share a hunk
+    const ranges = [];
+    changes.forEach(index => {
+      const last = ranges[ranges.length - 1];
+      if (last && index - last.end <= DIFF_CONTEXT_LINES * 2) {
+        last.end = index;
+      } else {
+        ranges.push({ start: index, end: index });
+      }
+    });
+
+    const lines = [`--- ${beforeLabel}`, `+++ ${afterLabel}`];
+    ranges.forEach(range => {
+      const start = Math.max(0, range.start - DIFF_CONTEXT_LINES);
+      const end = Math.min(ops.length - 1, range.end + DIFF_CONTEXT_LINES);
+      const preceding = ops.slice(0, start);
+      const hunk = ops.slice(start, end + 1);
+
+      const beforeStart = preceding.filter(op => op.type !== 'added').length;
+      const afterStart = preceding.filter(op => op.type !== 'removed').length;
+      const beforeCount = hunk.filter(op => op.type !== 'added').length;
+      const afterCount = hunk.filter(op => op.type !== 'removed').length;
+
+      // An empty side names the line before the hunk (unified diff convention)
+      lines.push(`@@ -${beforeStart + (beforeCount ? 1 : 0)},${beforeCount} +${afterStart + (afterCount ? 1 : 0)},${afterCount} @@`);
+      hunk.forEach(op => lines.push(`${{ same: ' ', removed: '-', added: '+' }[op.type]}${op.text}`));
+    });
+
+    return lines.join('\n');
+  }
+
+  static words(before, after) {
+    // Whitespace is kept as its own token so the new line reads as written
+    const ops = MarkdownDiff.diff(before.split(/(\s+)/).filter(Boolean), after.split(/(\s+)/).filter(Boolean));
+
+    const runs = [];
+    ops.forEach(op => {
+      const last = runs[runs.length - 1];
+      if (last?.type === op.type) {
+        last.text += op.text;
+      } else {
+        runs.push({ ...op });
+      }
+    });
+
+    return runs.map(run => {
+      if (run.type === 'same') return run.text;
+      if (!run.text.trim()) return run.type === 'added' ? run.text : '';
+
+      // Markers must touch the words they wrap
+      const [, leading, core, trailing] = run.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      const marker = run.type === 'added' ? '==' : '~~';
+      return `${leading}${marker}${core}${marker}${trailing}`;
+    }).join('');
+  }
+
+  static changedText(ops) {
+    // Each run of changed lines; edited lines are paired with their old version
+    const blocks = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+      if (removed.length === 0 && added.length === 0) return;
+
+      const lines = [];
+      for (let index = 0; index < Math.max(removed.length, added.length); index++) {
+        const line = MarkdownDiff.words(removed[index] ?? '', added[index] ?? '');
+        if (line.trim()) lines.push(line);
+      }
+      if (lines.length > 0) blocks.push(lines.join('\n\n'));
+      removed = [];
+      added = [];
+    };
+
+    ops.forEach(op => {
+      if (op.type === 'removed') removed.push(op.text);
+      else if (op.type === 'added') added.push(op.text);
+      else flush();
+    });
+    flush();
+
+    return blocks;
+  }
+
+  static document(previous, current) {
+    // previous: { markdown, timestamp, filename }; current: the new capture data
+    const ops = MarkdownDiff.diff(previous.markdown.split('\n'), current.markdown.split('\n'));
+    const added = ops.filter(op => op.type === 'added').length;
+    const removed = ops.filter(op => op.type === 'removed').length;
+    const title = `Changes: ${current.title || current.url}`;
+
+    const frontmatter = [
+      YamlEmitter.field('title', title),
+      YamlEmitter.field('url', current.url),
+      YamlEmitter.field('captured', current.timestamp),
+      YamlEmitter.field('previous_capture', previous.timestamp),
+      YamlEmitter.field('previous_file', previous.filename),
+      YamlEmitter.field('lines_added', added),
+      YamlEmitter.field('lines_removed', removed)
+    ];
+
+    const since = `the capture of ${previous.timestamp.slice(0, 10)} (${previous.filename})`;
+    const sections = [`# ${title}`];
+
+    if (added + removed === 0) {
+      sections.push(`No changes since ${since}.`);
+    } else {
+      const diff = MarkdownDiff.unified(ops, `previous/${previous.filename}`, 'current');
+      const longestTicks = Math.max(0, ...(diff.match(/`+/g) || []).map(ticks => ticks.length));
+      const fence = '`'.repeat(Math.max(3, longestTicks + 1));
+
+      sections.push(
+        `${added} ${added === 1 ? 'line' : 'lines'} added and ${removed} removed since ${since}.`,
+        '## Changed text',
+        'Removed words are ~~struck through~~, added words ==highlighted==.',
+        MarkdownDiff.changedText(ops).join('\n\n---\n\n'),
+        '## Unified diff',
+        `${fence}diff\n${diff}\n${fence}`
+      );
+    }
+
+    return {
+      changed: added + removed > 0,
+      added,
+      removed,
+      content: `---\n${frontmatter.join('\n')}\n---\n\n${sections.join('\n\n')}\n`
+    };
+  }
+}
@@ -0,0 +1,42 @@
+// Markdown files from capture payloads
+// The output settings that change the Markdown itself, the frontmatter and the filename.
+// Shared by the background service and the command-line tool (cli/), so a page saved from
+// the browser and one converted from saved HTML come out the same
+
+class MarkdownDocument {
+  static prepare(data, settings) {
+    // The LLM profile saves tokens for every output (chunking only applies to downloads);
+    // its chunk index replaces the table of contents, and links stay inline since chunks
+    // could not reach the definitions at the end of the document
+    if (settings.llmProfile) {
+      if (!settings.llmStripImages && !settings.llmStripLinks) return data;
+
+      const markdown = MarkdownChunker.strip(data.markdown, {
+        stripImages: settings.llmStripImages,
+        stripLinks: settings.llmStripLinks
+      });
+      return { ...data, markdown };
+    }
+
+    let markdown = data.markdown;
+    if (settings.tableOfContents) {
+      markdown = HeadingOutline.tableOfContents(markdown);
+    }
+    if (settings.linkStyle === 'referenced') {
+      markdown = ReferenceLinks.convert(markdown);
+    }
+    return markdown === data.markdown ? data : { ...data, markdown };
+  }
+
+  static create(data, settings, now = new Date()) {
+    // Frontmatter fields come from the user's template (see options page)
+    const frontmatter = new TemplateRenderer(data, now).renderFrontmatter(settings.frontmatterTemplate);
+
+    return `${frontmatter}\n${data.markdown}`;
+  }
+
+  static filename(data, settings, now = new Date()) {
+    // May include subfolders, e.g. "{{domain}}/{{date:YYYY-MM-DD}}-{{title}}"
+    return new TemplateRenderer(data, now).renderFilename(settings.filenameTemplate);
+  }
+}
@@ -0,0 +1,256 @@
+// Lightweight Markdown renderer for the popup review step
+// Covers what MarkdownConverter produces; builds DOM nodes directly, never innerHTML
+
+class MarkdownPreview {
+  static render(markdown, container) {
+    container.replaceChildren(...MarkdownPreview.renderBlocks(markdown.split('\n')));
+  }
+
+  static renderBlocks(lines) {
+    const nodes = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w#+.-]*)/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+
+        const pre = document.createElement('pre');
+        const codeElement = MarkdownPreview.element('code', code.join('\n'));
+        if (fence[2]) codeElement.dataset.language = fence[2];
+        pre.appendChild(codeElement);
+        nodes.push(pre);
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        nodes.push(MarkdownPreview.inlineElement(`h${heading[1].length}`, heading[2].replace(/\s+#+\s*$/, '')));
+        i++;
+        continue;
+      }
+
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        nodes.push(document.createElement('hr'));
+        i++;
+        continue;
+      }
+
+      if (/^\s*>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^\s*> ?/, ''));
+          i++;
+        }
+
+        const blockquote = document.createElement('blockquote');
+        blockquote.append(...MarkdownPreview.renderBlocks(quoted));
+        nodes.push(blockquote);
+        continue;
+      }
+
+      if (/^\s*\|/.test(line) && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1] || '')) {
+        const rows = [];
+        while (i < lines.length && /^\s*\|/.test(lines[i])) {
+          rows.push(lines[i]);
+          i++;
+        }
+        nodes.push(MarkdownPreview.renderTable(rows));
+        continue;
+      }
+
+      if (MarkdownPreview.isListItem(line)) {
+        const items = [];
+        while (i < lines.length && (MarkdownPreview.isListItem(lines[i]) ||
+          (lines[i].trim() && /^\s+/.test(lines[i])))) {
+          items.push(lines[i]);
+          i++;
+        }
+        nodes.push(MarkdownPreview.renderList(items));
+        continue;
+      }
+
+      // Paragraph: runs until a blank line or the start of another block
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !MarkdownPreview.startsBlock(lines[i]))) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      nodes.push(MarkdownPreview.inlineElement('p', paragraph.join('\n')));
+    }
+
+    return nodes;
+  }
+
+  static startsBlock(line) {
+    return /^(#{1,6}\s|\s*>|\s*(`{3,}|~{3,})|\s*\|)/.test(line) || MarkdownPreview.isListItem(line);
+  }
+
+  static isListItem(line) {
+    return /^\s*([-*+]|\d+[.)])\s+/.test(line);
+  }
+
+  static renderList(lines) {
+    // Nesting follows indentation; continuation lines join the previous item
+    const root = { indent: -1, list: null, children: [] };
+    const stack = [root];
+    let currentItem = null;
+
+    lines.forEach(line => {
+      const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+      if (!match) {
+        if (currentItem) currentItem.text += `\n${line.trim()}`;
+        return;
+      }
+
+      const indent = match[1].length;
+      while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+        stack.pop();
+      }
+
+      currentItem = { indent, ordered: /\d/.test(match[2]), start: parseInt(match[2], 10), text: match[3], children: [] };
+      stack[stack.length - 1].children.push(currentItem);
+      stack.push(currentItem);
+    });
+
+    return MarkdownPreview.buildList(root.children);
+  }
+
+  static buildList(items) {
+    const list = document.createElement(items[0].ordered ? 'ol' : 'ul');
+    if (items[0].ordered && items[0].start > 1) list.start = items[0].start;
+
+    items.forEach(item => {
+      const li = document.createElement('li');
+      const task = item.text.match(/^\[([ xX])\]\s+(.*)$/s);
+
+      if (task) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.disabled = true;
+        checkbox.checked = task[1] !== ' ';
+        li.append(checkbox, ' ');
+        MarkdownPreview.renderInline(task[2], li);
+      } else {
+        MarkdownPreview.renderInline(item.text, li);
+      }
+
+      if (item.children.length > 0) {
+        li.appendChild(MarkdownPreview.buildList(item.children));
+      }
+      list.appendChild(li);
+    });
+
+    return list;
+  }
+
+  static renderTable(rows) {
+    const table = document.createElement('table');
+    const cellsOf = row => row.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+
+    const headerRow = document.createElement('tr');
+    cellsOf(rows[0]).forEach(cell => headerRow.appendChild(MarkdownPreview.inlineElement('th', cell)));
+    table.createTHead().appendChild(headerRow);
+
+    const body = table.createTBody();
+    rows.slice(2).forEach(row => {
+      const tr = document.createElement('tr');
+      cellsOf(row).forEach(cell => tr.appendChild(MarkdownPreview.inlineElement('td', cell)));
+      body.appendChild(tr);
+    });
+
+    return table;
+  }
+
+  static inlineElement(tagName, text) {
+    const element = document.createElement(tagName);
+    MarkdownPreview.renderInline(text, element);
+    return element;
+  }
+
+  static renderInline(text, parent) {
+    const pattern = new RegExp([
+      '\\\\([\\\\`*_{}\\[\\]()#+\\-.!|~>=])', // 1: escaped character
+      '(`+)([\\s\\S]*?[^`])\\2(?!`)', // 2, 3: code span
+      '!\\[([^\\]]*)\\]\\(((?:\\\\.|\\([^()\\s]*\\)|[^()\\s\\\\])+)(?:\\s+"[^"]*")?\\)', // 4, 5: image
+      '\\[((?:\\\\.|[^\\]\\\\])+)\\]\\(((?:\\\\.|\\([^()\\s]*\\)|[^()\\s\\\\])+)(?:\\s+"[^"]*")?\\)', // 6, 7: link
+      '\\*\\*([\\s\\S]+?)\\*\\*', // 8: strong
+      '~~([\\s\\S]+?)~~', // 9: strikethrough
+      '==([\\s\\S]+?)==', // 10: highlight
+      '\\*([^*\\s][^*]*?)\\*', // 11: emphasis
+      '<br>' // line break inside table cells
+    ].join('|'), 'g');
+
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      MarkdownPreview.appendText(parent, text.slice(last, match.index));
+      last = pattern.lastIndex;
+
+      if (match[1] !== undefined) {
+        MarkdownPreview.appendText(parent, match[1]);
+      } else if (match[2] !== undefined) {
+        parent.appendChild(MarkdownPreview.element('code', match[3].replace(/^ (.*) $/, '$1')));
+      } else if (match[4] !== undefined) {
+        const img = document.createElement('img');
+        img.alt = match[4];
+        img.src = MarkdownPreview.safeUrl(match[5]);
+        parent.appendChild(img);
+      } else if (match[6] !== undefined) {
+        const link = document.createElement('a');
+        link.href = MarkdownPreview.safeUrl(match[7]);
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        MarkdownPreview.renderInline(match[6], link);
+        parent.appendChild(link);
+      } else if (match[8] !== undefined) {
+        parent.appendChild(MarkdownPreview.inlineElement('strong', match[8]));
+      } else if (match[9] !== undefined) {
+        parent.appendChild(MarkdownPreview.inlineElement('del', match[9]));
+      } else if (match[10] !== undefined) {
+        parent.appendChild(MarkdownPreview.inlineElement('mark', match[10]));
+      } else if (match[11] !== undefined) {
+        parent.appendChild(MarkdownPreview.inlineElement('em', match[11]));
+      } else {
+        parent.appendChild(document.createElement('br'));
+      }
+    }
+
+    MarkdownPreview.appendText(parent, text.slice(last));
+  }
+
+  static appendText(parent, text) {
+    if (!text) return;
+
+    // Soft line breaks inside a paragraph render as line breaks in the preview
+    text.split('\n').forEach((part, index) => {
+      if (index > 0) parent.appendChild(document.createElement('br'));
+      if (part) parent.appendChild(document.createTextNode(part));
+    });
+  }
+
+  static safeUrl(url) {
+    const unescaped = url.replace(/\\(.)/g, '$1');
+    return /^(https?:|mailto:|#)/i.test(unescaped) ? unescaped : '#';
+  }
+
+  static element(tagName, text) {
+    const element = document.createElement(tagName);
+    element.textContent = text;
+    return element;
+  }
+}
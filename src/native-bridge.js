@@ -0,0 +1,60 @@
+// Native messaging bridge for the background service worker
+// Lets a local program (see native-host/ in the repository) ask for captures: the host is
+// started by Chrome through connectNative and sends { id, action, ... } requests down the
+// port; each gets one { id, success, data | error } reply. An open port also keeps the
+// service worker alive, so the bridge stays up while it is enabled
+
+const NATIVE_HOST_NAME = 'com.page_to_markdown.bridge';
+
+class NativeBridge {
+  constructor(handler) {
+    this.handler = handler;
+    this.port = null;
+  }
+
+  get isConnected() {
+    return this.port !== null;
+  }
+
+  async update(enabled) {
+    // The permission is optional and granted from the options page
+    const allowed = enabled && await chrome.permissions.contains({ permissions: ['nativeMessaging'] });
+    if (allowed && !this.port) this.connect();
+    if (!allowed && this.port) this.disconnect();
+  }
+
+  connect() {
+    this.port = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+    this.port.onMessage.addListener(message => this.handleMessage(message));
+
+    // Also fires right away when the host is not installed; it is tried again on the next
+    // browser start or settings change rather than in a loop
+    this.port.onDisconnect.addListener(() => {
+      const error = chrome.runtime.lastError;
+      if (error) console.warn('Native host disconnected:', error.message);
+      this.port = null;
+    });
+  }
+
+  disconnect() {
+    this.port?.disconnect();
+    this.port = null;
+  }
+
+  async handleMessage(message) {
+    const id = message?.id;
+    let reply;
+    try {
+      reply = { id, success: true, data: await this.handler(message) };
+    } catch (error) {
+      reply = { id, success: false, error: error.message };
+    }
+
+    // The host may have gone while the capture ran
+    try {
+      this.port?.postMessage(reply);
+    } catch (error) {
+      console.warn('Could not reply to the native host:', error);
+    }
+  }
+}
@@ -0,0 +1,39 @@
+// Offscreen document for the background service worker, which has no DOM
+// Writes to the clipboard (execCommand works here without focus) and parses fetched pages
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message.action) {
+    case 'copyToClipboard':
+      sendResponse(copyToClipboard(message.text));
+      break;
+
+    case 'extractHtml':
+      sendResponse(extractHtml(message.html, message.url, message.rule));
+      break;
+  }
+});
+
+function copyToClipboard(text) {
+  try {
+    const textarea = document.getElementById('clipboard');
+    textarea.value = text;
+    textarea.select();
+
+    const copied = document.execCommand('copy');
+    textarea.value = '';
+    return copied ? { success: true } : { success: false, error: 'Copy command was rejected' };
+  } catch (error) {
+    console.error('Clipboard write failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function extractHtml(html, url, rule) {
+  try {
+    const doc = PageExtractor.parseHtml(html, url);
+    return { success: true, data: new PageExtractor(doc, url).extractPageContent(rule) };
+  } catch (error) {
+    console.error('Extracting fetched page failed:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,374 @@
+// Options page - frontmatter and filename templates with live preview
+
+const SAMPLE_PAGE = {
+  url: 'https://example.com/blog/2025/hello-world?ref=home',
+  canonicalUrl: 'https://example.com/blog/2025/hello-world',
+  domain: 'example.com',
+  siteName: 'Example Blog',
+  title: 'Hello World: A "Sample" Post',
+  author: 'Jane Doe, John Smith',
+  description: 'A short sample article used to preview your templates.',
+  excerpt: 'Every blog starts somewhere. This one starts with a post about starting a blog...',
+  language: 'en',
+  keywords: ['blogging', 'examples'],
+  published: '2025-03-14T09:00:00Z',
+  wordCount: 1250,
+  timestamp: new Date().toISOString(),
+  markdown: '# Hello World\n\nThe converted markdown content appears here...'
+};
+
+class OptionsManager {
+  constructor() {
+    this.elements = {
+      filenameTemplate: document.getElementById('filename-template'),
+      filenameErrors: document.getElementById('filename-errors'),
+      vaultName: document.getElementById('vault-name'),
+      vaultChooseBtn: document.getElementById('vault-choose-btn'),
+      vaultAllowBtn: document.getElementById('vault-allow-btn'),
+      vaultForgetBtn: document.getElementById('vault-forget-btn'),
+      vaultSubfolder: document.getElementById('vault-subfolder'),
+      vaultSubfolderErrors: document.getElementById('vault-subfolder-errors'),
+      vaultConflict: document.getElementById('vault-conflict'),
+      frontmatterTemplate: document.getElementById('frontmatter-template'),
+      frontmatterErrors: document.getElementById('frontmatter-errors'),
+      flattenShadowDom: document.getElementById('flatten-shadow-dom'),
+      dynamicScroll: document.getElementById('dynamic-scroll'),
+      dynamicScrollLimit: document.getElementById('dynamic-scroll-limit'),
+      dynamicScrollErrors: document.getElementById('dynamic-scroll-errors'),
+      tableOfContents: document.getElementById('table-of-contents'),
+      linkStyle: document.getElementById('link-style'),
+      downloadImages: document.getElementById('download-images'),
+      zipImages: document.getElementById('zip-images'),
+      llmProfile: document.getElementById('llm-profile'),
+      llmChunkTokens: document.getElementById('llm-chunk-tokens'),
+      llmChunkErrors: document.getElementById('llm-chunk-errors'),
+      llmStripImages: document.getElementById('llm-strip-images'),
+      llmStripLinks: document.getElementById('llm-strip-links'),
+      nativeBridge: document.getElementById('native-bridge'),
+      siteRules: document.getElementById('site-rules'),
+      siteRulesErrors: document.getElementById('site-rules-errors'),
+      importRulesBtn: document.getElementById('import-rules-btn'),
+      importRulesFile: document.getElementById('import-rules-file'),
+      exportRulesBtn: document.getElementById('export-rules-btn'),
+      previewFilename: document.getElementById('preview-filename'),
+      previewContent: document.getElementById('preview-content'),
+      saveBtn: document.getElementById('save-btn'),
+      resetBtn: document.getElementById('reset-btn'),
+      status: document.getElementById('status')
+    };
+
+    this.init();
+  }
+
+  async init() {
+    this.elements.filenameTemplate.addEventListener('input', () => this.updatePreview());
+    this.elements.vaultChooseBtn.addEventListener('click', () => this.handleChooseVault());
+    this.elements.vaultAllowBtn.addEventListener('click', () => this.handleAllowVault());
+    this.elements.vaultForgetBtn.addEventListener('click', () => this.handleForgetVault());
+    this.elements.vaultSubfolder.addEventListener('input', () => this.updatePreview());
+    this.elements.vaultConflict.addEventListener('change', () => this.setStatus(''));
+    this.elements.frontmatterTemplate.addEventListener('input', () => this.updatePreview());
+    this.elements.flattenShadowDom.addEventListener('change', () => this.setStatus(''));
+    this.elements.dynamicScroll.addEventListener('change', () => this.updateDynamicControls());
+    this.elements.dynamicScrollLimit.addEventListener('input', () => this.updatePreview());
+    this.elements.tableOfContents.addEventListener('change', () => this.setStatus(''));
+    this.elements.linkStyle.addEventListener('change', () => this.setStatus(''));
+    this.elements.downloadImages.addEventListener('change', () => this.handleDownloadImagesChange());
+    this.elements.zipImages.addEventListener('change', () => this.setStatus(''));
+    this.elements.llmProfile.addEventListener('change', () => this.updateLlmControls());
+    this.elements.llmChunkTokens.addEventListener('input', () => this.updatePreview());
+    this.elements.llmStripImages.addEventListener('change', () => this.setStatus(''));
+    this.elements.llmStripLinks.addEventListener('change', () => this.setStatus(''));
+    this.elements.nativeBridge.addEventListener('change', () => this.handleNativeBridgeChange());
+    this.elements.siteRules.addEventListener('input', () => this.updatePreview());
+    this.elements.importRulesBtn.addEventListener('click', () => this.elements.importRulesFile.click());
+    this.elements.importRulesFile.addEventListener('change', () => this.handleImportRules());
+    this.elements.exportRulesBtn.addEventListener('click', () => this.handleExportRules());
+    this.elements.saveBtn.addEventListener('click', () => this.handleSave());
+    this.elements.resetBtn.addEventListener('click', () => this.handleReset());
+
+    this.vault = new VaultFolder();
+    this.settings = await Settings.load();
+    this.siteRules = await SiteRules.load();
+    this.render();
+    this.updateVaultStatus();
+  }
+
+  render() {
+    this.elements.filenameTemplate.value = this.settings.filenameTemplate;
+    this.elements.vaultSubfolder.value = this.settings.vaultSubfolder;
+    this.elements.vaultConflict.value = this.settings.vaultConflict;
+    this.elements.frontmatterTemplate.value = this.settings.frontmatterTemplate;
+    this.elements.flattenShadowDom.checked = this.settings.flattenShadowDom;
+    this.elements.dynamicScroll.checked = this.settings.dynamicScroll;
+    this.elements.dynamicScrollLimit.value = this.settings.dynamicScrollLimit;
+    this.elements.tableOfContents.checked = this.settings.tableOfContents;
+    this.elements.linkStyle.value = this.settings.linkStyle;
+    this.elements.downloadImages.checked = this.settings.downloadImages;
+    this.elements.zipImages.checked = this.settings.zipImages;
+    this.elements.llmProfile.checked = this.settings.llmProfile;
+    this.elements.llmChunkTokens.value = this.settings.llmChunkTokens;
+    this.elements.llmStripImages.checked = this.settings.llmStripImages;
+    this.elements.llmStripLinks.checked = this.settings.llmStripLinks;
+    this.elements.nativeBridge.checked = this.settings.nativeBridge;
+    this.elements.siteRules.value = this.siteRules.length > 0 ? JSON.stringify(this.siteRules, null, 2) : '';
+    this.updateImageControls();
+    this.updateDynamicControls();
+    this.updateLlmControls();
+  }
+
+  readForm() {
+    return {
+      ...this.settings,
+      filenameTemplate: this.elements.filenameTemplate.value.trim(),
+      vaultSubfolder: this.elements.vaultSubfolder.value.trim(),
+      vaultConflict: this.elements.vaultConflict.value,
+      frontmatterTemplate: this.elements.frontmatterTemplate.value,
+      flattenShadowDom: this.elements.flattenShadowDom.checked,
+      dynamicScroll: this.elements.dynamicScroll.checked,
+      dynamicScrollLimit: Number(this.elements.dynamicScrollLimit.value),
+      tableOfContents: this.elements.tableOfContents.checked,
+      linkStyle: this.elements.linkStyle.value,
+      downloadImages: this.elements.downloadImages.checked,
+      zipImages: this.elements.zipImages.checked,
+      llmProfile: this.elements.llmProfile.checked,
+      llmChunkTokens: Number(this.elements.llmChunkTokens.value),
+      llmStripImages: this.elements.llmStripImages.checked,
+      llmStripLinks: this.elements.llmStripLinks.checked,
+      nativeBridge: this.elements.nativeBridge.checked
+    };
+  }
+
+  readSiteRules() {
+    // An empty box means no rules
+    const text = this.elements.siteRules.value.trim();
+    return text ? SiteRules.parse(text) : { rules: [], errors: [] };
+  }
+
+  async handleDownloadImagesChange() {
+    // Fetching images from any site needs host access; ask while we still have the click
+    if (this.elements.downloadImages.checked) {
+      const granted = await chrome.permissions.request({ origins: ['http://*/*', 'https://*/*'] });
+      if (!granted) {
+        this.elements.downloadImages.checked = false;
+        this.setStatus('Image downloads need permission to read images from other sites', true);
+        return;
+      }
+    }
+
+    this.updateImageControls();
+    this.setStatus('');
+  }
+
+  updateImageControls() {
+    this.elements.zipImages.disabled = !this.elements.downloadImages.checked;
+  }
+
+  async handleNativeBridgeChange() {
+    // Talking to a native program is an optional permission, asked for on the click, along
+    // with reading the sites whose URLs scripts send (there is no click then to ask on)
+    if (this.elements.nativeBridge.checked) {
+      const granted = await chrome.permissions.request({
+        permissions: ['nativeMessaging'],
+        origins: ['http://*/*', 'https://*/*']
+      });
+      if (!granted) {
+        this.elements.nativeBridge.checked = false;
+        this.setStatus('Command-line access needs permission to talk to the native host and read the pages it asks for', true);
+        return;
+      }
+    }
+
+    this.setStatus('');
+  }
+
+  async handleChooseVault() {
+    // Picking a folder for read-write use grants that access at the same time
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker({ id: 'vault', mode: 'readwrite' });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.setStatus(`Could not use that folder: ${error.message}`, true);
+      }
+      return;
+    }
+
+    await this.vault.setHandle(handle);
+    await this.updateVaultStatus();
+  }
+
+  async handleAllowVault() {
+    // Chrome may take the access back after a restart; asking needs this click
+    const handle = await this.vault.getHandle();
+    if (handle && await handle.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+      this.setStatus('Access to the vault folder was not allowed', true);
+    }
+    await this.updateVaultStatus();
+  }
+
+  async handleForgetVault() {
+    await this.vault.forget();
+    await this.updateVaultStatus();
+  }
+
+  async updateVaultStatus() {
+    try {
+      const handle = await this.vault.getHandle();
+      const granted = handle && await handle.queryPermission({ mode: 'readwrite' }) === 'granted';
+
+      this.elements.vaultName.textContent = !handle
+        ? 'No folder chosen'
+        : granted ? `Saving into "${handle.name}"` : `"${handle.name}" needs access again`;
+      this.elements.vaultChooseBtn.textContent = handle ? 'Choose another folder' : 'Choose folder';
+      this.elements.vaultAllowBtn.classList.toggle('hidden', !handle || granted);
+      this.elements.vaultForgetBtn.classList.toggle('hidden', !handle);
+    } catch (error) {
+      console.error('Reading the vault folder failed:', error);
+      this.elements.vaultName.textContent = 'Could not read the vault folder';
+    }
+  }
+
+  updateDynamicControls() {
+    this.elements.dynamicScrollLimit.disabled = !this.elements.dynamicScroll.checked;
+    this.updatePreview();
+  }
+
+  updateLlmControls() {
+    const enabled = this.elements.llmProfile.checked;
+    this.elements.llmChunkTokens.disabled = !enabled;
+    this.elements.llmStripImages.disabled = !enabled;
+    this.elements.llmStripLinks.disabled = !enabled;
+    this.updatePreview();
+  }
+
+  validate(settings) {
+    const filenameErrors = TemplateRenderer.validateFilenameTemplate(settings.filenameTemplate);
+    const frontmatterErrors = TemplateRenderer.validateFrontmatterTemplate(settings.frontmatterTemplate);
+    const subfolderErrors = settings.vaultSubfolder
+      ? TemplateRenderer.validateFilenameTemplate(settings.vaultSubfolder, 'the vault folder')
+      : [];
+    const ruleErrors = this.readSiteRules().errors;
+    // Smaller chunks would mostly be frontmatter
+    const chunkErrors = Number.isInteger(settings.llmChunkTokens) && settings.llmChunkTokens >= 500
+      ? []
+      : ['Use a whole number of at least 500 tokens'];
+    const scrollErrors = Number.isInteger(settings.dynamicScrollLimit) &&
+      settings.dynamicScrollLimit >= 1 && settings.dynamicScrollLimit <= 100
+      ? []
+      : ['Use a whole number from 1 to 100'];
+
+    this.showErrors(this.elements.filenameTemplate, this.elements.filenameErrors, filenameErrors);
+    this.showErrors(this.elements.frontmatterTemplate, this.elements.frontmatterErrors, frontmatterErrors);
+    this.showErrors(this.elements.vaultSubfolder, this.elements.vaultSubfolderErrors, subfolderErrors);
+    this.showErrors(this.elements.siteRules, this.elements.siteRulesErrors, ruleErrors);
+    this.showErrors(this.elements.llmChunkTokens, this.elements.llmChunkErrors, chunkErrors);
+    this.showErrors(this.elements.dynamicScrollLimit, this.elements.dynamicScrollErrors, scrollErrors);
+
+    return filenameErrors.length === 0 && frontmatterErrors.length === 0 && ruleErrors.length === 0 &&
+      chunkErrors.length === 0 && scrollErrors.length === 0 && subfolderErrors.length === 0;
+  }
+
+  updatePreview() {
+    const settings = this.readForm();
+    const isValid = this.validate(settings);
+    const renderer = new TemplateRenderer(SAMPLE_PAGE);
+
+    this.elements.saveBtn.disabled = !isValid;
+    this.elements.previewFilename.textContent = renderer.renderFilename(settings.filenameTemplate);
+    this.elements.previewContent.textContent =
+      `${renderer.renderFrontmatter(settings.frontmatterTemplate)}\n${SAMPLE_PAGE.markdown}`;
+    this.setStatus('');
+  }
+
+  showErrors(input, list, errors) {
+    list.replaceChildren(...errors.map(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      return item;
+    }));
+    list.classList.toggle('hidden', errors.length === 0);
+    input.classList.toggle('invalid', errors.length > 0);
+  }
+
+  async handleSave() {
+    const settings = this.readForm();
+    if (!this.validate(settings)) return;
+
+    try {
+      const { rules } = this.readSiteRules();
+      await Settings.save(settings);
+      await SiteRules.save(rules);
+      this.settings = settings;
+      this.siteRules = rules;
+      this.setStatus('Saved');
+    } catch (error) {
+      console.error('Saving settings failed:', error);
+      this.setStatus(`Could not save: ${error.message}`, true);
+    }
+  }
+
+  async handleReset() {
+    try {
+      this.settings = await Settings.reset();
+      this.render();
+      this.setStatus('Defaults restored');
+    } catch (error) {
+      console.error('Resetting settings failed:', error);
+      this.setStatus(`Could not reset: ${error.message}`, true);
+    }
+  }
+
+  async handleImportRules() {
+    const [file] = this.elements.importRulesFile.files;
+    this.elements.importRulesFile.value = '';
+    if (!file) return;
+
+    const { rules: imported, errors } = SiteRules.parse(await file.text());
+    if (errors.length > 0) {
+      this.setStatus(`Could not import ${file.name}: ${errors[0]}`, true);
+      return;
+    }
+
+    const current = this.readSiteRules().rules;
+    if (!current) {
+      this.setStatus('Fix the site rule errors before importing', true);
+      return;
+    }
+
+    // Imported rules replace existing ones for the same match and are added otherwise
+    const importedMatches = new Set(imported.map(rule => rule.match));
+    const replaced = current.filter(rule => importedMatches.has(rule.match)).length;
+    const merged = [...current.filter(rule => !importedMatches.has(rule.match)), ...imported];
+
+    this.elements.siteRules.value = JSON.stringify(merged, null, 2);
+    this.updatePreview();
+    this.setStatus(`Imported ${imported.length} ${imported.length === 1 ? 'rule' : 'rules'}` +
+      `${replaced > 0 ? ` (${replaced} replaced)` : ''}; save to apply`);
+  }
+
+  handleExportRules() {
+    const { rules, errors } = this.readSiteRules();
+    if (errors.length > 0) {
+      this.setStatus('Fix the site rule errors before exporting', true);
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(rules, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'page-to-markdown-site-rules.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.status.textContent = message;
+    this.elements.status.classList.toggle('error', isError);
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsManager();
+});
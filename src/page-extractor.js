@@ -0,0 +1,480 @@
+// Page extraction shared by the content script and the background
+// Reads a document (the live page, or HTML fetched for a link) and returns the capture
+// payload: metadata, cleaned content and Markdown
+
+// Elements whose text is separated from the next one's, as on the rendered page
+const TEXT_BLOCK_ELEMENTS = 'address, article, aside, blockquote, br, dd, div, dl, dt, figcaption, figure, footer, ' +
+  'h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, td, th, tr, ul';
+
+class PageExtractor {
+  constructor(doc, url) {
+    this.doc = doc;
+    this.url = url;
+    this.markdownConverter = new MarkdownConverter();
+    // Elements dropped by site rule selectors and by the built-in cleanup, for the quality report
+    this.removed = { rule: 0, cleanup: 0 };
+  }
+
+  extractPageContent(rule = null, strategy = 'auto') {
+    // 'auto' tries the site rule, Defuddle and then the main content search; 'manual' (the
+    // main content search) and 'body' (the whole page) are there to compare against it
+    const remove = rule?.remove || [];
+    if (strategy === 'manual' || strategy === 'body') {
+      const content = strategy === 'body' ? this.getBodyContent(remove) : this.getMainContent(remove);
+      return this.buildPageResult({ ...this.getPageMetadata(rule), content }, rule, { strategy });
+    }
+
+    let fallback = '';
+
+    // A site rule's content selector beats any heuristic
+    if (rule?.content) {
+      const content = this.getRuleContent(rule);
+      if (content) {
+        return this.buildPageResult({ ...this.getPageMetadata(rule), content }, rule, { strategy: 'rule' });
+      }
+      console.warn(`Site rule "${rule.name || rule.match}" matched no content; falling back to Defuddle`);
+      fallback = 'rule';
+    }
+
+    let defuddleResult = {};
+    try {
+      // Use Defuddle for intelligent content extraction, on a prepared copy when needed
+      const prepared = this.prepareDocument(remove);
+      const defuddle = new Defuddle(prepared);
+      defuddleResult = defuddle.parse();
+
+      if (defuddleResult.content) {
+        return this.buildPageResult({
+          ...this.getMetadata(defuddleResult, rule),
+          content: this.restoreListStarts(this.resolveImages(defuddleResult.content), prepared)
+        }, rule, { strategy: 'defuddle', fallback });
+      }
+    } catch (error) {
+      console.error('Defuddle extraction failed, falling back to manual extraction:', error);
+      defuddleResult = {};
+    }
+
+    // Fallback to original manual extraction; only its own removals count
+    this.removed = { rule: 0, cleanup: 0 };
+    return this.buildPageResult({
+      ...this.getMetadata(defuddleResult, rule),
+      content: this.getMainContent(remove)
+    }, rule, { strategy: 'manual', fallback: 'defuddle' });
+  }
+
+  getRuleContent(rule) {
+    const elements = PageExtractor.selectAll(this.doc, rule.content);
+    if (elements.length === 0) return null;
+
+    const container = this.doc.createElement('div');
+    elements.forEach(element => container.appendChild(element.cloneNode(true)));
+    return this.cleanContent(container, rule.remove);
+  }
+
+  prepareDocument(remove) {
+    // A copy without the rule's unwanted elements, with math, diagrams and embeds converted
+    // while their sources are still there, lazy images resolved before Defuddle drops their
+    // <noscript> fallbacks, and footnotes and code blocks in the form Defuddle keeps; the
+    // page itself when nothing applies
+    const body = this.doc.body;
+    if (remove.length === 0 && !RichContent.find(body) && !body.querySelector('pre, img, noscript') &&
+      MarkdownConverter.footnoteReferences(body).length === 0) {
+      return this.doc;
+    }
+
+    const doc = this.cloneDocumentWithout(remove);
+    RichContent.convertAll(doc.body, this.url);
+    ImageResolver.resolveAll(doc.body, this.url);
+    MarkdownConverter.standardizeFootnotes(doc.body);
+    MarkdownConverter.standardizeCodeBlocks(doc.body);
+    return doc;
+  }
+
+  cloneDocumentWithout(selectors) {
+    const doc = this.doc.cloneNode(true);
+    this.removed.rule += PageExtractor.removeAll(doc, selectors);
+    return doc;
+  }
+
+  getPageMetadata(rule = null) {
+    // Page-level metadata for partial captures, from Defuddle where it works
+    try {
+      return this.getMetadata(new Defuddle(this.doc).parse(), rule);
+    } catch (error) {
+      console.error('Defuddle metadata extraction failed:', error);
+      return this.getMetadata({}, rule);
+    }
+  }
+
+  getMetadata(defuddleResult = {}, rule = null) {
+    // Site rule selectors first, then Defuddle results with fallbacks to our manual methods
+    return {
+      title: this.getRuleValue(rule?.title) || defuddleResult.title || this.getTitle(),
+      description: defuddleResult.description || this.getDescription(),
+      author: this.getRuleValue(rule?.author) || defuddleResult.author || this.getAuthor(),
+      published: this.getRuleValue(rule?.published) || defuddleResult.published || this.getPublished(),
+      siteName: this.getSiteName() || this.getDefuddleSiteName(defuddleResult)
+    };
+  }
+
+  getDefuddleSiteName({ site = '', author = '' }) {
+    // Defuddle falls back to the author when the page names no site, which is no site name
+    return site && site !== author ? site : '';
+  }
+
+  getRuleValue(selector) {
+    if (!selector) return '';
+
+    const [element] = PageExtractor.selectAll(this.doc, selector);
+    if (!element) return '';
+
+    return (element.getAttribute('datetime') || element.getAttribute('content') || element.textContent)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  buildPageResult(metadata, rule, { strategy, fallback = '' }) {
+    // Whole-page captures carry a quality report; partial ones have nothing to compare with
+    const result = this.buildResult(metadata, rule);
+    return {
+      ...result,
+      quality: ExtractionQuality.measure(this.doc, result.content, { strategy, fallback, removed: this.removed })
+    };
+  }
+
+  buildResult({ title, description, author, published, siteName, content: extracted }, rule = null) {
+    const content = SiteRules.postProcessHtml(extracted, rule);
+    const text = this.getText(content);
+
+    return {
+      url: this.url,
+      canonicalUrl: this.getCanonicalUrl(),
+      domain: new URL(this.url).hostname,
+      title,
+      description,
+      author,
+      published,
+      siteName,
+      language: this.getLanguage(),
+      keywords: this.getKeywords(),
+      excerpt: this.createExcerpt(text),
+      content,
+      markdown: this.normalizeHeadings(SiteRules.postProcessMarkdown(this.convertToMarkdown(content), rule), content),
+      wordCount: this.countWords(content),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  getTitle() {
+    // Try multiple sources for title
+    const selectors = [
+      'h1',
+      'title',
+      '[property="og:title"]',
+      '[name="twitter:title"]',
+      '.title',
+      '.article-title'
+    ];
+
+    for (const selector of selectors) {
+      const element = this.doc.querySelector(selector);
+      if (element) {
+        const title = (element.content || element.textContent || '').trim();
+        if (title && title.length > 3) {
+          return title;
+        }
+      }
+    }
+
+    return this.doc.title || 'Untitled Page';
+  }
+
+  getDescription() {
+    // Try meta description and other sources
+    const selectors = [
+      '[name="description"]',
+      '[property="og:description"]',
+      '[name="twitter:description"]',
+      '.description',
+      '.excerpt',
+      'p'
+    ];
+
+    for (const selector of selectors) {
+      const element = this.doc.querySelector(selector);
+      if (element) {
+        const desc = (element.content || element.textContent || '').trim();
+        if (desc && desc.length > 10 && desc.length < 300) {
+          return desc;
+        }
+      }
+    }
+
+    return '';
+  }
+
+  getAuthor() {
+    // Try to find author information
+    const selectors = [
+      '[name="author"]',
+      '[property="article:author"]',
+      '[rel="author"]',
+      '.author',
+      '.byline',
+      '.writer'
+    ];
+
+    for (const selector of selectors) {
+      const element = this.doc.querySelector(selector);
+      if (element) {
+        const author = (element.content || element.textContent || '').trim();
+        if (author && author.length > 2 && author.length < 100) {
+          return author;
+        }
+      }
+    }
+
+    return '';
+  }
+
+  getPublished() {
+    const selectors = [
+      '[property="article:published_time"]',
+      '[name="date"]',
+      '[name="publish-date"]',
+      '[itemprop="datePublished"]',
+      'time[datetime]'
+    ];
+
+    for (const selector of selectors) {
+      const element = this.doc.querySelector(selector);
+      if (element) {
+        const published = (element.content || element.getAttribute('datetime') || element.textContent || '').trim();
+        if (published) {
+          return published;
+        }
+      }
+    }
+
+    return '';
+  }
+
+  getSiteName() {
+    const element = this.doc.querySelector('[property="og:site_name"], [name="application-name"]');
+    return (element?.content || '').trim();
+  }
+
+  getLanguage() {
+    const element = this.doc.querySelector('[http-equiv="content-language" i], [property="og:locale"]');
+    return (this.doc.documentElement.lang || element?.content || '').trim();
+  }
+
+  getCanonicalUrl() {
+    const link = this.doc.querySelector('link[rel="canonical"][href]');
+    if (link) {
+      // Resolved against the page, which need not be the document this runs in
+      try {
+        return new URL(link.getAttribute('href'), this.url).href;
+      } catch (error) {
+        return '';
+      }
+    }
+
+    const ogUrl = this.doc.querySelector('[property="og:url"]');
+    return (ogUrl?.content || '').trim();
+  }
+
+  getKeywords() {
+    // Meta keywords plus article:tag entries, de-duplicated
+    const keywords = [];
+    const metaKeywords = this.doc.querySelector('[name="keywords"]');
+    if (metaKeywords?.content) {
+      keywords.push(...metaKeywords.content.split(','));
+    }
+
+    this.doc.querySelectorAll('[property="article:tag"]').forEach(tag => {
+      keywords.push(tag.content || '');
+    });
+
+    return [...new Set(keywords.map(keyword => keyword.trim()).filter(keyword => keyword.length > 0))];
+  }
+
+  getMainContent(remove = []) {
+    // Try to find main content area
+    const contentSelectors = [
+      'article',
+      'main',
+      '[role="main"]',
+      '.content',
+      '.post-content',
+      '.article-content',
+      '.entry-content',
+      '#content',
+      '.main-content'
+    ];
+
+    for (const selector of contentSelectors) {
+      const element = this.doc.querySelector(selector);
+      if (element && element.textContent.trim().length > 100) {
+        return this.cleanContent(element, remove);
+      }
+    }
+
+    // Fallback: use body but remove navigation, footer, sidebar
+    const body = this.doc.body.cloneNode(true);
+
+    // Remove unwanted elements
+    const unwanted = [
+      'nav', 'header', 'footer', 'aside', 'script', 'style',
+      '.navigation', '.nav', '.header', '.footer', '.sidebar',
+      '.ads', '.advertisement', '.social', '.comments'
+    ];
+
+    this.removed.cleanup += PageExtractor.removeAll(body, unwanted);
+
+    return this.cleanContent(body, remove);
+  }
+
+  getBodyContent(remove = []) {
+    // Everything on the page, with only the standard cleanup (and the site rule's removals)
+    return this.cleanContent(this.doc.body, remove);
+  }
+
+  cleanContent(element, remove = []) {
+    // Clone to avoid modifying original
+    const cleaned = element.cloneNode(true);
+
+    // Real image URLs first, while <noscript> fallbacks are still there
+    ImageResolver.resolveAll(cleaned, this.url);
+    // Formulas, diagrams and known embeds before their scripts and iframes are removed
+    RichContent.convertAll(cleaned, this.url);
+
+    // Remove unwanted elements
+    const unwanted = [
+      'script', 'style', 'noscript', 'iframe', 'embed', 'object',
+      '.ads', '.advertisement', '.social-share', '.newsletter',
+      '[style*="display: none"]', '[style*="visibility: hidden"]'
+    ];
+
+    this.removed.cleanup += PageExtractor.removeAll(cleaned, unwanted);
+    this.removed.rule += PageExtractor.removeAll(cleaned, remove);
+
+    // Convert relative URLs to absolute
+    const links = cleaned.querySelectorAll('a[href]');
+    links.forEach(link => {
+      const href = link.getAttribute('href');
+      if (href && !href.startsWith('http') && !href.startsWith('//')) {
+        link.setAttribute('href', new URL(href, this.url).href);
+      }
+    });
+
+    return cleaned.innerHTML;
+  }
+
+  resolveImages(html) {
+    // Defuddle returns HTML rather than a node; parse it inertly to fix up its images
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    ImageResolver.resolveAll(doc.body, this.url);
+    return doc.body.innerHTML;
+  }
+
+  restoreListStarts(html, source) {
+    // Defuddle drops every attribute it does not know, including <ol start>; each numbered
+    // list is matched back to the page's by its first item
+    const starts = [...source.querySelectorAll('ol[start]')].map(list => ({
+      start: list.getAttribute('start'),
+      key: PageExtractor.firstItemText(list)
+    }));
+    if (starts.length === 0) return html;
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.body.querySelectorAll('ol:not([start])').forEach(list => {
+      const key = PageExtractor.firstItemText(list);
+      const index = starts.findIndex(entry => entry.key === key);
+      if (!key || index === -1) return;
+
+      list.setAttribute('start', starts[index].start);
+      starts.splice(index, 1);
+    });
+    return doc.body.innerHTML;
+  }
+
+  getText(html) {
+    // Parse inertly so images and scripts in the content are not loaded; blocks are spaced
+    // so the text of adjacent paragraphs does not run together
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.body.querySelectorAll(TEXT_BLOCK_ELEMENTS).forEach(element => {
+      element.before(' ');
+      element.after(' ');
+    });
+    return doc.body.textContent || '';
+  }
+
+  countWords(html) {
+    const text = this.getText(html);
+
+    // Count words (split by whitespace, filter empty strings)
+    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  createExcerpt(text, maxLength = 200) {
+    const cleanText = text.replace(/\s+/g, ' ').trim();
+    if (cleanText.length <= maxLength) return cleanText;
+
+    const truncated = cleanText.substring(0, maxLength);
+    const lastSpace = truncated.lastIndexOf(' ');
+    return lastSpace > 0 ? truncated.substring(0, lastSpace) + '...' : truncated + '...';
+  }
+
+  convertToMarkdown(html) {
+    // Full conversion (lists, tables, inline formatting) lives in MarkdownConverter
+    return this.markdownConverter.convert(html);
+  }
+
+  normalizeHeadings(markdown, html) {
+    // Page ids are only known from the HTML; links to them are rewritten to the anchors
+    // of the normalized headings
+    return HeadingOutline.normalize(markdown, { url: this.url, targets: HeadingOutline.anchorTargets(html) });
+  }
+
+  static firstItemText(list) {
+    // Without whitespace, which Defuddle adds and removes around nested elements
+    const item = [...list.children].find(child => child.nodeName === 'LI');
+    return (item?.textContent || '').replace(/\s+/g, '');
+  }
+
+  static removeAll(root, selectors) {
+    // Returns how many elements went; one inside another removed one is not counted again
+    let count = 0;
+    selectors.forEach(selector => {
+      PageExtractor.selectAll(root, selector).forEach(element => {
+        if (!root.contains(element)) return;
+        element.remove();
+        count++;
+      });
+    });
+    return count;
+  }
+
+  static selectAll(root, selector) {
+    // Site rules are typed in by hand; a selector that doesn't parse is skipped, not fatal
+    try {
+      return [...root.querySelectorAll(selector)];
+    } catch (error) {
+      console.warn(`Ignoring invalid selector "${selector}": ${error.message}`);
+      return [];
+    }
+  }
+
+  static parseHtml(html, url) {
+    // For HTML that did not come from a tab (fetched links, the command-line tool): relative
+    // links and images belong to the page it came from, not to the parsing document
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    if (!doc.querySelector('base[href]')) {
+      const base = doc.createElement('base');
+      base.href = url;
+      doc.head.prepend(base);
+    }
+    return doc;
+  }
+}
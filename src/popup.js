@@ -1,4 +1,20 @@
 // Modern popup script - clean UX focused
+
+const OUTPUT_TARGETS = {
+  download: { label: 'Save as Markdown', busy: 'Saving file...', done: 'Saved!', help: 'Saves page content to Downloads folder' },
+  vault: { label: 'Save to vault', busy: 'Saving to vault...', done: 'Saved!', help: 'Writes the note into your vault folder' },
+  clipboard: { label: 'Copy as Markdown', busy: 'Copying...', done: 'Copied!', help: 'Copies page content to the clipboard' },
+  preview: { label: 'Preview Markdown', busy: 'Opening preview...', done: 'Opened!', help: 'Opens the result in a new tab' }
+};
+
+// How a whole-page capture was extracted (quality report "strategy")
+const STRATEGY_LABELS = {
+  rule: 'Site rule',
+  defuddle: 'Automatic',
+  manual: 'Main content area',
+  body: 'Whole page'
+};
+
 class PopupManager {
   constructor() {
     this.elements = {
@@ -7,6 +23,48 @@ class PopupManager {
       convertBtn: document.getElementById('convert-btn'),
       btnIcon: document.getElementById('btn-icon'),
       btnText: document.getElementById('btn-text'),
+      selectionBtn: document.getElementById('selection-btn'),
+      pickerBtn: document.getElementById('picker-btn'),
+      secondaryActions: document.getElementById('secondary-actions'),
+      settingsLink: document.getElementById('settings-link'),
+      historyLink: document.getElementById('history-link'),
+      previousCapture: document.getElementById('previous-capture'),
+      previousCaptureText: document.getElementById('previous-capture-text'),
+      previousCaptureLink: document.getElementById('previous-capture-link'),
+      comparePrevious: document.getElementById('compare-previous'),
+      saveDiff: document.getElementById('save-diff'),
+      saveDiffOption: document.getElementById('save-diff-option'),
+      outputTarget: document.getElementById('output-target'),
+      clipboardFrontmatter: document.getElementById('clipboard-frontmatter'),
+      clipboardOptions: document.getElementById('clipboard-options'),
+      reviewBeforeSave: document.getElementById('review-before-save'),
+      dynamicCapture: document.getElementById('dynamic-capture'),
+      batch: document.getElementById('batch'),
+      batchTabsBtn: document.getElementById('batch-tabs-btn'),
+      batchLinksBtn: document.getElementById('batch-links-btn'),
+      batchCombine: document.getElementById('batch-combine'),
+      batchProgress: document.getElementById('batch-progress'),
+      batchBar: document.getElementById('batch-bar'),
+      batchStatus: document.getElementById('batch-status'),
+      batchErrors: document.getElementById('batch-errors'),
+      pageInfo: document.querySelector('.page-info'),
+      review: document.getElementById('review'),
+      reviewQuality: document.getElementById('review-quality'),
+      reviewWarnings: document.getElementById('review-warnings'),
+      reviewStrategy: document.getElementById('review-strategy'),
+      reviewQualitySummary: document.getElementById('review-quality-summary'),
+      qualityWarning: document.getElementById('quality-warning'),
+      reviewTitle: document.getElementById('review-title'),
+      reviewTags: document.getElementById('review-tags'),
+      reviewDescription: document.getElementById('review-description'),
+      reviewRawTab: document.getElementById('review-raw-tab'),
+      reviewRenderedTab: document.getElementById('review-rendered-tab'),
+      reviewStats: document.getElementById('review-stats'),
+      reviewMarkdown: document.getElementById('review-markdown'),
+      reviewRendered: document.getElementById('review-rendered'),
+      reviewDiscard: document.getElementById('review-discard'),
+      reviewSave: document.getElementById('review-save'),
+      helpText: document.getElementById('btn-detail'),
       error: document.getElementById('error'),
       errorText: document.getElementById('error-text')
     };
@@ -14,9 +72,94 @@ class PopupManager {
     this.init();
   }
 
-  init() {
+  async init() {
     this.elements.convertBtn.addEventListener('click', () => this.handleConvert());
+    this.elements.outputTarget.addEventListener('change', () => this.handleOutputChange());
+    this.elements.clipboardFrontmatter.addEventListener('change', () => this.handleOutputChange());
+    this.elements.reviewBeforeSave.addEventListener('change', () => this.handleOutputChange());
+    this.elements.dynamicCapture.addEventListener('change', () => this.handleOutputChange());
+    this.elements.batchCombine.addEventListener('change', () => this.handleOutputChange());
+    this.elements.comparePrevious.addEventListener('change', () => this.handleOutputChange());
+    this.elements.saveDiff.addEventListener('change', () => this.handleOutputChange());
+    this.elements.batchTabsBtn.addEventListener('click', () => this.handleBatchTabs());
+    this.elements.batchLinksBtn.addEventListener('click', () => this.handleBatchLinks());
+    this.elements.selectionBtn.addEventListener('click', () => this.handleConvert('selection'));
+    this.elements.pickerBtn.addEventListener('click', () => this.handlePickElement());
+    this.elements.settingsLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+    this.elements.historyLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      this.openHistory();
+    });
+
+    // Batch progress from the background service
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'batchProgress') {
+        this.renderBatchStatus(message.status);
+      } else if (message.action === 'captureProgress' && this.elements.convertBtn.disabled) {
+        // Dynamic capture steps from the content script
+        this.elements.btnText.textContent = message.text;
+      }
+    });
+
+    // Review step
+    this.elements.reviewRawTab.addEventListener('click', () => this.showReviewTab('raw'));
+    this.elements.reviewRenderedTab.addEventListener('click', () => this.showReviewTab('rendered'));
+    this.elements.reviewMarkdown.addEventListener('input', () => this.updateReviewStats());
+    this.elements.reviewDiscard.addEventListener('click', () => this.hideReview());
+    this.elements.reviewSave.addEventListener('click', () => this.handleReviewSave());
+    this.elements.reviewStrategy.addEventListener('change', () => this.handleStrategyChange());
+
+    // Remembered output choice
+    this.settings = await Settings.load();
+    this.elements.outputTarget.value = this.settings.outputTarget;
+    this.elements.clipboardFrontmatter.checked = this.settings.clipboardFrontmatter;
+    this.elements.reviewBeforeSave.checked = this.settings.reviewBeforeSave;
+    this.elements.dynamicCapture.checked = this.settings.dynamicCapture;
+    this.elements.batchCombine.checked = this.settings.batchCombine;
+    this.elements.comparePrevious.checked = this.settings.compareWithPrevious;
+    this.elements.saveDiff.checked = this.settings.saveDiff;
+    this.updateOutputControls();
+
     this.checkCurrentTab();
+    this.updateBatchTabs();
+
+    // A batch keeps running after the popup closes; pick its progress back up
+    const { status } = await chrome.runtime.sendMessage({ action: 'getBatchStatus' });
+    if (status) this.renderBatchStatus(status);
+  }
+
+  get output() {
+    return OUTPUT_TARGETS[this.elements.outputTarget.value] || OUTPUT_TARGETS.download;
+  }
+
+  async handleOutputChange() {
+    this.updateOutputControls();
+    this.settings = {
+      ...this.settings,
+      outputTarget: this.elements.outputTarget.value,
+      clipboardFrontmatter: this.elements.clipboardFrontmatter.checked,
+      reviewBeforeSave: this.elements.reviewBeforeSave.checked,
+      dynamicCapture: this.elements.dynamicCapture.checked,
+      batchCombine: this.elements.batchCombine.checked,
+      compareWithPrevious: this.elements.comparePrevious.checked,
+      saveDiff: this.elements.saveDiff.checked
+    };
+    await Settings.save(this.settings);
+  }
+
+  updateOutputControls() {
+    const isClipboard = this.elements.outputTarget.value === 'clipboard';
+    this.elements.clipboardOptions.classList.toggle('hidden', !isClipboard);
+    // The diff file goes beside a downloaded note; other outputs only show it
+    this.elements.saveDiffOption.classList.toggle('hidden',
+      !this.elements.comparePrevious.checked || this.elements.outputTarget.value !== 'download');
+    this.elements.helpText.textContent = this.output.help;
+    if (!this.elements.convertBtn.disabled) {
+      this.elements.btnText.textContent = this.output.label;
+    }
   }
 
   async checkCurrentTab() {
@@ -37,6 +180,8 @@ class PopupManager {
 
       // Update button icon to document ready state
       this.elements.btnIcon.className = 'icon icon-download';
+
+      this.checkPreviousCaptures(tab.url);
     } catch (error) {
       this.elements.pageTitle.textContent = 'Error loading page';
       this.elements.pageDomain.textContent = '';
@@ -44,23 +189,294 @@ class PopupManager {
     }
   }
 
-  async handleConvert() {
+  async checkPreviousCaptures(url) {
+    // Warn before saving the same page twice; the history page has the earlier files
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'findCaptures', url });
+      const [latest] = response?.entries || [];
+      if (!latest) return;
+
+      this.hasPreviousCapture = true;
+
+      const date = new Date(latest.timestamp).toLocaleDateString();
+      const where = {
+        clipboard: 'copied to the clipboard',
+        vault: `saved in the vault as ${latest.filename}`
+      }[latest.target] || `saved as ${latest.filename}`;
+      const count = response.entries.length;
+      this.elements.previousCaptureText.textContent = count > 1
+        ? `Captured ${count} times before, last on ${date} (${where}).`
+        : `Captured before on ${date} (${where}).`;
+      this.elements.previousCaptureLink.onclick = (event) => {
+        event.preventDefault();
+        this.openHistory(latest.url);
+      };
+      this.elements.previousCapture.classList.remove('hidden');
+    } catch (error) {
+      console.error('Checking capture history failed:', error);
+    }
+  }
+
+  openHistory(query = '') {
+    const search = query ? `?q=${encodeURIComponent(query)}` : '';
+    chrome.tabs.create({ url: `history.html${search}` });
+  }
+
+  async handleConvert(mode = 'page') {
     if (this.elements.convertBtn.disabled) return;
 
     try {
       this.hideError();
+      this.hideQualityWarning();
       this.setButtonState(true, 'icon-spinner', 'Extracting content...');
 
-      // Step 1: Get current tab
+      // Steps 1-2: Extract content from the current tab
+      const data = await this.extractContent(mode);
+
+      // Step 3: Let the user check and edit the capture first, if they asked to
+      if (this.elements.reviewBeforeSave.checked) {
+        this.setButtonState(false, 'icon-download', this.output.label);
+        this.reviewStrategy = 'auto';
+        this.elements.reviewStrategy.value = 'auto';
+        this.showReview(data);
+        return;
+      }
+
+      // Step 4: Send to background for the chosen output
+      await this.saveCapture(data);
+      this.showQualityWarning(data.quality);
+    } catch (error) {
+      this.handleFailure('Conversion failed:', error);
+    }
+  }
+
+  async extractContent(mode, strategy = 'auto') {
+    // Step 1: Get current tab
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) throw new Error('No active tab found');
+
+    // Step 2: Extract content from page
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, {
+        action: 'extractContent',
+        mode,
+        strategy
+      });
+    } catch (chromeError) {
+      if (chromeError.message.includes('Receiving end does not exist')) {
+        throw new Error('Connection failed. Please refresh the page and try again.');
+      }
+      throw chromeError;
+    }
+
+    if (!response.success) {
+      const errorMsg = response.error || 'Failed to extract content';
+      throw new Error(errorMsg);
+    }
+
+    return response.data;
+  }
+
+  async handleStrategyChange() {
+    // Extract the page again another way, replacing the capture (and any edits) under review
+    const strategy = this.elements.reviewStrategy.value;
+    this.elements.reviewStrategy.disabled = true;
+    this.elements.reviewQualitySummary.textContent = 'Extracting...';
+
+    try {
+      // Not hideError(): that would bring back the controls the review step hides
+      this.elements.error.classList.add('hidden');
+      this.showReview(await this.extractContent('page', strategy));
+      this.reviewStrategy = strategy;
+    } catch (error) {
+      console.error('Alternative extraction failed:', error);
+      this.showError(error.message);
+      this.elements.reviewStrategy.value = this.reviewStrategy;
+      this.renderQuality(this.reviewData.quality);
+    } finally {
+      this.elements.reviewStrategy.disabled = false;
+    }
+  }
+
+  async saveCapture(data) {
+    this.setButtonState(true, 'icon-spinner', this.output.busy);
+
+    // Re-captures can be compared with the last capture of the page (opens in a preview tab)
+    const compare = this.hasPreviousCapture && this.elements.comparePrevious.checked;
+    const result = await chrome.runtime.sendMessage({
+      action: 'saveMarkdown',
+      payload: data,
+      target: this.elements.outputTarget.value,
+      options: compare ? { compare: true, saveDiff: this.elements.saveDiff.checked } : {}
+    });
+
+    if (!result.success) {
+      throw new Error(result.error || 'Save failed');
+    }
+
+    this.setButtonState(false, 'icon-check', this.output.done, 'success');
+
+    // Reset after 2 seconds
+    setTimeout(() => {
+      this.setButtonState(false, 'icon-download', this.output.label);
+    }, 2000);
+  }
+
+  handleFailure(context, error) {
+    console.error(context, error);
+    this.showError(error.message);
+    this.setButtonState(false, 'icon-download', this.output.label, 'error');
+
+    // Clear error state after a moment
+    setTimeout(() => {
+      this.elements.convertBtn.classList.remove('error');
+    }, 3000);
+  }
+
+  showReview(data) {
+    this.reviewData = data;
+    this.elements.reviewTitle.value = data.title || '';
+    this.elements.reviewTags.value = (data.keywords || []).join(', ');
+    this.elements.reviewDescription.value = data.description || '';
+    this.elements.reviewMarkdown.value = data.markdown || '';
+    this.renderQuality(data.quality);
+    this.updateReviewStats();
+    this.showReviewTab('raw');
+    this.setReviewState(true);
+    this.elements.reviewMarkdown.focus();
+  }
+
+  hideReview() {
+    this.reviewData = null;
+    this.setReviewState(false);
+  }
+
+  readReview() {
+    const markdown = this.elements.reviewMarkdown.value;
+    const markdownChanged = markdown !== this.reviewData.markdown;
+
+    return {
+      ...this.reviewData,
+      title: this.elements.reviewTitle.value.trim(),
+      keywords: this.elements.reviewTags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+      description: this.elements.reviewDescription.value.trim(),
+      markdown,
+      // The extracted count came from the page text; recount only what the user rewrote
+      wordCount: markdownChanged ? TextStats.countWords(markdown) : this.reviewData.wordCount
+    };
+  }
+
+  async handleReviewSave() {
+    const data = this.readReview();
+    this.hideReview();
+
+    try {
+      this.hideError();
+      await this.saveCapture(data);
+    } catch (error) {
+      this.handleFailure('Saving reviewed capture failed:', error);
+      // Keep the edits so the user can retry
+      this.showReview(data);
+    }
+  }
+
+  renderQuality(quality) {
+    // Whole-page captures only; selections and picked elements have nothing to compare with
+    this.elements.reviewQuality.classList.toggle('hidden', !quality);
+    if (!quality) return;
+
+    const warnings = quality.warnings || [];
+    this.elements.reviewQuality.classList.toggle('warning', warnings.length > 0);
+    this.elements.reviewWarnings.replaceChildren(...warnings.map(warning => {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      return item;
+    }));
+    this.elements.reviewQualitySummary.textContent = [
+      STRATEGY_LABELS[quality.strategy] || quality.strategy,
+      `${Math.round(quality.textRatio * 100)}% of page text`,
+      `${quality.headingCount} ${quality.headingCount === 1 ? 'heading' : 'headings'}`
+    ].join(' · ');
+  }
+
+  showQualityWarning(quality) {
+    // Saved without review, so only a pointer to where the other methods are
+    if (!quality?.warnings?.length) return;
+
+    this.elements.qualityWarning.textContent =
+      `This capture may be incomplete: ${quality.warnings.join('; ')}. ` +
+      'Turn on "Review and edit before saving" to compare other extraction methods.';
+    this.elements.qualityWarning.classList.remove('hidden');
+  }
+
+  hideQualityWarning() {
+    this.elements.qualityWarning.classList.add('hidden');
+  }
+
+  showReviewTab(tab) {
+    const isRendered = tab === 'rendered';
+
+    if (isRendered) {
+      MarkdownPreview.render(this.elements.reviewMarkdown.value, this.elements.reviewRendered);
+    }
+
+    this.elements.reviewRawTab.classList.toggle('active', !isRendered);
+    this.elements.reviewRenderedTab.classList.toggle('active', isRendered);
+    this.elements.reviewRawTab.setAttribute('aria-selected', String(!isRendered));
+    this.elements.reviewRenderedTab.setAttribute('aria-selected', String(isRendered));
+    this.elements.reviewMarkdown.classList.toggle('hidden', isRendered);
+    this.elements.reviewRendered.classList.toggle('hidden', !isRendered);
+  }
+
+  updateReviewStats() {
+    const markdown = this.elements.reviewMarkdown.value;
+    const words = TextStats.countWords(markdown);
+    const tokens = TextStats.estimateTokens(markdown);
+    this.elements.reviewStats.textContent =
+      `${TextStats.format(words)} words · ~${TextStats.format(tokens)} tokens`;
+  }
+
+  setReviewState(isReviewing) {
+    const display = isReviewing ? 'none' : '';
+    const footer = document.querySelector('.footer');
+
+    document.body.classList.toggle('reviewing', isReviewing);
+    this.elements.review.classList.toggle('hidden', !isReviewing);
+    this.elements.pageInfo.style.display = display;
+    this.elements.convertBtn.style.display = isReviewing ? 'none' : 'flex';
+    this.elements.secondaryActions.style.display = isReviewing ? 'none' : 'flex';
+    this.elements.batch.style.display = display;
+    footer.style.display = isReviewing ? 'none' : 'block';
+  }
+
+  async updateBatchTabs() {
+    // Tabs highlighted in the window (ctrl/shift-click), or every tab when only one is
+    const tabs = (await chrome.tabs.query({ currentWindow: true }))
+      .filter(tab => tab.url?.startsWith('http'));
+    const selected = tabs.filter(tab => tab.highlighted);
+
+    this.batchTabs = selected.length > 1 ? selected : tabs;
+    this.elements.batchTabsBtn.textContent = selected.length > 1
+      ? `Capture ${selected.length} selected tabs`
+      : `Capture all ${tabs.length} tabs`;
+    this.elements.batchTabsBtn.disabled = tabs.length === 0;
+  }
+
+  async handleBatchTabs() {
+    await this.startBatch(this.batchTabs.map(tab => ({ tabId: tab.id, url: tab.url, title: tab.title })));
+  }
+
+  async handleBatchLinks() {
+    try {
+      this.hideError();
+
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (!tab?.id) throw new Error('No active tab found');
 
-      // Step 2: Extract content from page
       let response;
       try {
-        response = await chrome.tabs.sendMessage(tab.id, {
-          action: 'extractContent'
-        });
+        response = await chrome.tabs.sendMessage(tab.id, { action: 'getSelectionLinks' });
       } catch (chromeError) {
         if (chromeError.message.includes('Receiving end does not exist')) {
           throw new Error('Connection failed. Please refresh the page and try again.');
@@ -69,44 +485,98 @@ class PopupManager {
       }
 
       if (!response.success) {
-        const errorMsg = response.error || 'Failed to extract content';
-        throw new Error(errorMsg);
+        throw new Error(response.error || 'Failed to read links');
       }
 
-      // Step 3: Send to background for download
-      this.setButtonState(true, 'icon-spinner', 'Saving file...');
+      await this.startBatch(response.data);
+    } catch (error) {
+      console.error('Batch link capture failed:', error);
+      this.showError(error.message);
+    }
+  }
+
+  async startBatch(items) {
+    try {
+      this.hideError();
 
       const result = await chrome.runtime.sendMessage({
-        action: 'downloadMarkdown',
-        payload: response.data
+        action: 'startBatch',
+        items,
+        combine: this.elements.batchCombine.checked,
+        target: this.elements.outputTarget.value
       });
 
       if (!result.success) {
-        throw new Error(result.error || 'Download failed');
+        throw new Error(result.error || 'Batch capture failed');
       }
+    } catch (error) {
+      console.error('Batch capture failed:', error);
+      this.showError(error.message);
+    }
+  }
+
+  renderBatchStatus(status) {
+    const isRunning = status.state === 'running' || status.state === 'saving';
 
-      // Step 4: Success
-      this.setButtonState(false, 'icon-check', 'Saved!', 'success');
+    this.elements.batchProgress.classList.remove('hidden');
+    this.elements.batchBar.max = status.total || 1;
+    this.elements.batchBar.value = status.completed;
+    this.elements.batchTabsBtn.disabled = isRunning;
+    this.elements.batchLinksBtn.disabled = isRunning;
+    this.elements.batchStatus.classList.toggle('error', status.state === 'failed');
 
-      // Reset after 2 seconds
-      setTimeout(() => {
-        this.setButtonState(false, 'icon-download', 'Save as Markdown');
-      }, 2000);
+    switch (status.state) {
+      case 'running':
+        this.elements.batchStatus.textContent =
+          `Capturing ${Math.min(status.completed + 1, status.total)} of ${status.total}: ${status.current}`;
+        break;
+      case 'saving':
+        this.elements.batchStatus.textContent = 'Saving...';
+        break;
+      default:
+        this.elements.batchStatus.textContent = status.message;
+    }
 
+    // Per-page failures; the rest of the batch carries on
+    const failures = status.failures || [];
+    this.elements.batchErrors.replaceChildren(...failures.map(failure => {
+      const item = document.createElement('li');
+      item.textContent = `${failure.title}: ${failure.error}`;
+      item.title = failure.url;
+      return item;
+    }));
+    this.elements.batchErrors.classList.toggle('hidden', failures.length === 0);
+  }
+
+  async handlePickElement() {
+    try {
+      this.hideError();
+
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.id) throw new Error('No active tab found');
+
+      try {
+        await chrome.tabs.sendMessage(tab.id, { action: 'startElementPicker' });
+      } catch (chromeError) {
+        if (chromeError.message.includes('Receiving end does not exist')) {
+          throw new Error('Connection failed. Please refresh the page and try again.');
+        }
+        throw chromeError;
+      }
+
+      // The picker runs in the page and saves on its own; get out of the way
+      window.close();
     } catch (error) {
-      console.error('Conversion failed:', error);
+      console.error('Element picker failed:', error);
       this.showError(error.message);
-      this.setButtonState(false, 'icon-download', 'Save as Markdown', 'error');
-
-      // Clear error state after a moment
-      setTimeout(() => {
-        this.elements.convertBtn.classList.remove('error');
-      }, 3000);
     }
   }
 
   setButtonState(disabled, iconClass, text, stateClass = '') {
     this.elements.convertBtn.disabled = disabled;
+    this.elements.selectionBtn.disabled = disabled;
+    this.elements.pickerBtn.disabled = disabled;
+    this.elements.outputTarget.disabled = disabled;
     this.elements.btnIcon.className = `icon ${iconClass}`;
     this.elements.btnText.textContent = text;
 
@@ -151,14 +621,21 @@ class PopupManager {
   setErrorState(isConnectionError) {
     const button = this.elements.convertBtn;
     const footer = document.querySelector('.footer');
+    const outputOptions = document.querySelector('.output-options');
     const container = document.querySelector('.container');
 
     if (isConnectionError) {
       button.style.display = 'none';
+      this.elements.secondaryActions.style.display = 'none';
+      this.elements.batch.style.display = 'none';
+      outputOptions.style.display = 'none';
       footer.style.display = 'none';
       container.classList.add('error-state');
     } else {
       button.style.display = 'flex';
+      this.elements.secondaryActions.style.display = 'flex';
+      this.elements.batch.style.display = '';
+      outputOptions.style.display = 'flex';
       footer.style.display = 'block';
       container.classList.remove('error-state');
     }
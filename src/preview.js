@@ -0,0 +1,78 @@
+// Preview tab - shows a converted page before (or instead of) saving it
+
+class PreviewPage {
+  constructor() {
+    this.elements = {
+      title: document.getElementById('preview-title'),
+      filename: document.getElementById('preview-filename'),
+      content: document.getElementById('preview-content'),
+      copyBtn: document.getElementById('copy-btn'),
+      downloadBtn: document.getElementById('download-btn'),
+      status: document.getElementById('status')
+    };
+
+    this.init();
+  }
+
+  async init() {
+    this.elements.copyBtn.addEventListener('click', () => this.handleCopy());
+    this.elements.downloadBtn.addEventListener('click', () => this.handleDownload());
+
+    const id = new URLSearchParams(window.location.search).get('id');
+    const key = `preview-${id}`;
+    const stored = await chrome.storage.session.get(key);
+    this.preview = stored[key];
+    // Read once: session storage is small, and a capture can be megabytes of Markdown
+    await chrome.storage.session.remove(key);
+
+    if (!this.preview) {
+      this.elements.content.textContent = 'This preview is no longer available. Capture the page again.';
+      this.elements.copyBtn.disabled = true;
+      this.elements.downloadBtn.disabled = true;
+      return;
+    }
+
+    document.title = `${this.preview.data.title} - Markdown Preview`;
+    this.elements.title.textContent = this.preview.data.title;
+    this.elements.filename.textContent = this.preview.filename;
+    this.elements.content.textContent = this.preview.content;
+  }
+
+  async handleCopy() {
+    try {
+      await navigator.clipboard.writeText(this.preview.content);
+      this.setStatus('Copied');
+    } catch (error) {
+      console.error('Copy failed:', error);
+      this.setStatus(`Copy failed: ${error.message}`, true);
+    }
+  }
+
+  async handleDownload() {
+    try {
+      // A diff is already the finished document; a capture still goes through the templates
+      const result = await chrome.runtime.sendMessage(this.preview.diff
+        ? { action: 'downloadMarkdown', content: this.preview.content, filename: this.preview.filename }
+        : { action: 'saveMarkdown', payload: this.preview.data, target: 'download' });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Download failed');
+      }
+
+      this.setStatus(result.message);
+    } catch (error) {
+      console.error('Download failed:', error);
+      this.setStatus(error.message, true);
+    }
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.status.textContent = message;
+    this.elements.status.classList.toggle('error', isError);
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new PreviewPage();
+});
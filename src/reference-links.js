@@ -0,0 +1,43 @@
+// Reference-style links for dense pages
+// Moves link destinations out of the text: "[text][1]" in place and "[1]: url" definitions
+// collected at the end of the document. Code, images and in-page #links are left as they
+// are. Needs heading-outline.js
+
+const INLINE_LINK = /(?<!!)\[((?:!\[(?:\\.|[^\]\\])*\]\([^)]*\)|\\.|[^\]\\])*)\]\(\s*(<[^>]*>|(?:\\.|\([^()\s]*\)|[^()\s\\])+)(?:\s+("(?:\\.|[^"\\])*"))?\s*\)/g;
+const CODE_SPAN = /(`+)[\s\S]*?(?<!`)\1(?!`)/g;
+
+class ReferenceLinks {
+  static convert(markdown) {
+    // One definition per destination (and title); numbered in order of first use
+    const references = new Map();
+
+    const lines = HeadingOutline.lines(markdown).map(({ text, code }) => {
+      if (code) return text;
+
+      return ReferenceLinks.outsideCodeSpans(text, segment =>
+        segment.replace(INLINE_LINK, (match, label, url, title) => {
+          if (url.replace(/^</, '').startsWith('#')) return match;
+
+          const key = `${url} ${title || ''}`;
+          if (!references.has(key)) {
+            references.set(key, { number: references.size + 1, url, title });
+          }
+          return `[${label}][${references.get(key).number}]`;
+        }));
+    });
+
+    if (references.size === 0) return markdown;
+
+    const definitions = [...references.values()]
+      .map(({ number, url, title }) => `[${number}]: ${url}${title ? ` ${title}` : ''}`);
+    return `${lines.join('\n')}\n\n${definitions.join('\n')}`;
+  }
+
+  static outsideCodeSpans(text, replace) {
+    // Code spans are swapped for placeholders so links around them (`[`code`](url)`)
+    // still match, and links inside them are not touched
+    const spans = [];
+    const masked = text.replace(CODE_SPAN, span => `\u0000${spans.push(span) - 1}\u0000`);
+    return replace(masked).replace(/\u0000(\d+)\u0000/g, (match, index) => spans[index]);
+  }
+}
@@ -0,0 +1,188 @@
+// Math, diagrams and embedded media in extracted content
+// Runs before Defuddle and before cleanup, which would otherwise garble formulas and drop
+// scripts and iframes: rendered KaTeX/MathJax becomes a <math> element carrying its TeX
+// source, Mermaid diagrams become mermaid code blocks, and known players (YouTube, Vimeo,
+// CodePen, gists) become a titled link, or the gist's code when it is on the page. The
+// Markdown converter writes the formulas as $...$ and $$...$$
+
+const TEX_ANNOTATION = 'annotation[encoding="application/x-tex"]';
+// What MathJax 2 renders in front of each <script type="math/tex"> source
+const MATHJAX_RENDERED = '.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_SVG_Display, .MathJax_CHTML, .MathJax_MathML';
+// Diagram sources before Mermaid renders them (GitHub keeps its source in pre[lang])
+const MERMAID_SOURCE = 'pre.mermaid, div.mermaid, pre[lang="mermaid"]';
+const RICH_CONTENT = [
+  '.katex', 'script[type^="math/tex"]', 'mjx-container', '.mwe-math-element', MERMAID_SOURCE,
+  'iframe[src]', 'embed[src]', 'object[data]', 'script[src*="gist.github.com"]', '.gist'
+].join(', ');
+
+const EMBED_PROVIDERS = [
+  {
+    label: 'YouTube video',
+    pattern: /^https?:\/\/(?:www\.)?youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/i,
+    link: match => `https://www.youtube.com/watch?v=${match[1]}`
+  },
+  {
+    label: 'Vimeo video',
+    pattern: /^https?:\/\/player\.vimeo\.com\/video\/(\d+)/i,
+    link: match => `https://vimeo.com/${match[1]}`
+  },
+  {
+    label: 'CodePen',
+    pattern: /^https?:\/\/codepen\.io\/([\w-]+)\/embed\/(?:preview\/)?([\w-]+)/i,
+    link: match => `https://codepen.io/${match[1]}/pen/${match[2]}`
+  },
+  {
+    label: 'GitHub Gist',
+    pattern: /^https?:\/\/gist\.github\.com\/((?:[\w-]+\/)?[\da-f]+)/i,
+    link: match => `https://gist.github.com/${match[1]}`
+  }
+];
+
+class RichContent {
+  static find(root) {
+    return root.querySelector(RICH_CONTENT) !== null;
+  }
+
+  static convertAll(root, baseUrl) {
+    RichContent.convertMath(root);
+    RichContent.convertMermaid(root);
+    RichContent.convertEmbeds(root, baseUrl);
+  }
+
+  static convertMath(root) {
+    const doc = root.ownerDocument;
+
+    // KaTeX renders HTML next to a MathML copy that carries the source
+    root.querySelectorAll('.katex').forEach(katex => {
+      const tex = katex.querySelector(TEX_ANNOTATION)?.textContent;
+      if (!tex || !root.contains(katex)) return;
+
+      const display = katex.closest('.katex-display');
+      (display && root.contains(display) ? display : katex).replaceWith(RichContent.createMath(doc, tex, !!display));
+    });
+
+    // MathJax 2 keeps the source in a script after its rendering
+    root.querySelectorAll('script[type^="math/tex"]').forEach(script => {
+      let previous = script.previousElementSibling;
+      while (previous?.matches(MATHJAX_RENDERED)) {
+        const rendered = previous;
+        previous = previous.previousElementSibling;
+        rendered.remove();
+      }
+      script.replaceWith(RichContent.createMath(doc, script.textContent, /mode\s*=\s*display/i.test(script.type)));
+    });
+
+    // MathJax 3 and Wikipedia: the MathML (with alttext or an annotation where the page
+    // has one) replaces the rendering and its fallback image
+    root.querySelectorAll('mjx-container, .mwe-math-element').forEach(container => {
+      const math = container.querySelector('math');
+      if (!math) return;
+
+      if (container.getAttribute('display') === 'true') math.setAttribute('display', 'block');
+      container.replaceWith(math);
+    });
+  }
+
+  static createMath(doc, tex, display) {
+    const math = doc.createElementNS('http://www.w3.org/1998/Math/MathML', 'math');
+    math.setAttribute('display', display ? 'block' : 'inline');
+    math.setAttribute('data-latex', tex.trim());
+    // Text content keeps Turndown from dropping it as a blank element
+    math.textContent = tex.trim();
+    return math;
+  }
+
+  static convertMermaid(root) {
+    const doc = root.ownerDocument;
+
+    root.querySelectorAll(MERMAID_SOURCE).forEach(element => {
+      // Once rendered only the SVG is left, and there is no source to keep
+      if (!root.contains(element) || element.querySelector('svg')) return;
+
+      const source = RichContent.dedent(element.textContent);
+      if (!source) return;
+
+      element.replaceWith(RichContent.createCodeBlock(doc, source, 'mermaid'));
+    });
+  }
+
+  static dedent(text) {
+    // Sources written inside HTML are usually indented with the markup around them
+    const lines = text.replace(/^\s*\n|\s+$/g, '').split('\n');
+    const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+    return lines.map(line => line.slice(Math.min(indent, line.match(/^\s*/)[0].length))).join('\n');
+  }
+
+  static convertEmbeds(root, baseUrl) {
+    const doc = root.ownerDocument;
+
+    // A gist script writes the gist right after itself; the rendered copy is used instead
+    root.querySelectorAll('script[src]').forEach(script => {
+      if (script.nextElementSibling?.matches('.gist')) script.remove();
+    });
+
+    root.querySelectorAll('.gist').forEach(gist => {
+      const files = [...gist.querySelectorAll('.gist-file')];
+      if (files.length === 0) return;
+      gist.replaceWith(...files.flatMap(file => RichContent.convertGistFile(doc, file)));
+    });
+
+    root.querySelectorAll('iframe[src], embed[src], object[data], script[src]').forEach(element => {
+      const src = RichContent.absolute(element.getAttribute('src') || element.getAttribute('data'), baseUrl);
+      const provider = EMBED_PROVIDERS.find(candidate => candidate.pattern.test(src));
+      if (!provider || (element.nodeName === 'SCRIPT' && provider.label !== 'GitHub Gist')) return;
+
+      // Players tend to be titled after themselves ("YouTube video player")
+      const title = (element.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+      const generic = !title || /\b(?:player|embed)\b/i.test(title);
+      element.replaceWith(RichContent.createLink(doc, provider.link(src.match(provider.pattern)),
+        generic ? provider.label : `${provider.label}: ${title}`));
+    });
+  }
+
+  static convertGistFile(doc, file) {
+    // File name and link from the gist's footer; the code from its line table
+    const table = file.querySelector('table[data-tagsearch-path]');
+    const link = [...file.querySelectorAll('.gist-meta a[href]')].find(a => a.getAttribute('href').includes('#file-'));
+    const name = table?.getAttribute('data-tagsearch-path') || link?.textContent.trim() || 'Gist';
+    const heading = link ? RichContent.createLink(doc, link.getAttribute('href'), name) : doc.createTextNode(name);
+
+    // Markdown files are shown rendered
+    const rendered = file.querySelector('.markdown-body');
+    if (rendered) return [heading, rendered];
+
+    const lines = [...file.querySelectorAll('.blob-code')].map(line => line.textContent.replace(/\n$/, ''));
+    const language = (table?.getAttribute('data-tagsearch-lang') || '').toLowerCase().replace(/[^\w#+.-]/g, '');
+    return [heading, RichContent.createCodeBlock(doc, lines.join('\n'), language)];
+  }
+
+  static createCodeBlock(doc, text, language) {
+    // data-lang as well as the class: Defuddle only keeps class languages it knows
+    const pre = doc.createElement('pre');
+    const code = doc.createElement('code');
+    if (language) {
+      code.className = `language-${language}`;
+      code.setAttribute('data-lang', language);
+    }
+    code.textContent = text;
+    pre.appendChild(code);
+    return pre;
+  }
+
+  static createLink(doc, href, text) {
+    const paragraph = doc.createElement('p');
+    const link = doc.createElement('a');
+    link.setAttribute('href', href);
+    link.textContent = text;
+    paragraph.appendChild(link);
+    return paragraph;
+  }
+
+  static absolute(url, baseUrl) {
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (error) {
+      return url || '';
+    }
+  }
+}
@@ -0,0 +1,78 @@
+// Extension settings backed by chrome.storage.sync
+// Shared by the background service, popup and options page
+
+const DEFAULT_SETTINGS = {
+  frontmatterTemplate: [
+    'url: {{url}}',
+    'canonical_url: {{canonical_url}}',
+    'title: {{title}}',
+    'timestamp: {{timestamp}}',
+    'published: {{published}}',
+    'domain: {{domain}}',
+    'site_name: {{site_name}}',
+    'author: {{author|default:Unknown}}',
+    'description: {{description}}',
+    'excerpt: {{excerpt}}',
+    'language: {{language}}',
+    'tags: {{tags}}',
+    'word_count: {{word_count}}'
+  ].join('\n'),
+  filenameTemplate: '{{date:YYYY-MM-DD}}-{{title|default:untitled}}',
+  // 'download', 'vault', 'clipboard' or 'preview'; remembered from the popup
+  outputTarget: 'download',
+  // Vault folder output: subfolder (may use variables) the filename template applies in, and
+  // what to do when a note exists: 'suffix' (note-2.md), 'overwrite', or 'append' to the
+  // note last saved for the same URL
+  vaultSubfolder: '',
+  vaultConflict: 'suffix',
+  clipboardFrontmatter: true,
+  // Show the captured Markdown in the popup for editing before it is written
+  reviewBeforeSave: true,
+  // Batch capture: one combined document with a table of contents, or a file per page
+  batchCombine: true,
+  // Dynamic pages: wait for the page to settle and open collapsed sections before a
+  // whole-page capture, optionally scrolling down up to dynamicScrollLimit times to load more
+  dynamicCapture: false,
+  dynamicScroll: true,
+  dynamicScrollLimit: 10,
+  // Whole-page captures also read open shadow roots (web components) and same-origin
+  // frames, for sites that render their content there
+  flattenShadowDom: false,
+  // List the headings, linked to their anchors, at the top of the note
+  tableOfContents: false,
+  // 'inlined' [text](url), or 'referenced' [text][1] with the URLs listed at the end
+  linkStyle: 'inlined',
+  // Save images beside the note ("<note>-assets/") instead of linking to the web,
+  // optionally zipped together with it; needs the optional host permission
+  downloadImages: false,
+  zipImages: false,
+  // Re-captures of a URL: show what changed since the last capture, optionally saved
+  // beside the new file as "<note>.diff.md"
+  compareWithPrevious: false,
+  saveDiff: false,
+  // LLM profile: split downloads longer than llmChunkTokens (estimated) into chunk files
+  // plus an index, and optionally drop images and link URLs to save tokens
+  llmProfile: false,
+  llmChunkTokens: 8000,
+  llmStripImages: true,
+  llmStripLinks: false,
+  // Answer capture requests from the native messaging host (command-line access); needs the
+  // optional nativeMessaging permission
+  nativeBridge: false
+};
+
+class Settings {
+  static async load() {
+    const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    return { ...DEFAULT_SETTINGS, ...stored };
+  }
+
+  static async save(settings) {
+    await chrome.storage.sync.set(settings);
+  }
+
+  static async reset() {
+    await chrome.storage.sync.clear();
+    return { ...DEFAULT_SETTINGS };
+  }
+}
@@ -0,0 +1,165 @@
+// Per-site extraction rules
+// Kept in chrome.storage.local (rule sets outgrow the sync quota), edited as JSON on the
+// options page and consulted by the content script before Defuddle and the generic heuristics
+
+const SITE_RULE_FIELDS = {
+  name: 'string', // Label shown in errors
+  match: 'string', // "example.com" (and subdomains), "*.example.com" or a URL pattern with *
+  content: 'string', // Selector for the main content; every match is included
+  remove: 'selectors', // Selectors removed before extraction
+  title: 'string', // Selectors for metadata; datetime/content attributes win over text
+  author: 'string',
+  published: 'string',
+  stripImages: 'boolean', // Post-processing
+  unwrapLinks: 'boolean',
+  removePatterns: 'patterns' // Regular expressions removed from the Markdown (per line: ^ and $ match lines)
+};
+
+class SiteRules {
+  static STORAGE_KEY = 'siteRules';
+
+  static async load() {
+    const stored = await chrome.storage.local.get({ [SiteRules.STORAGE_KEY]: [] });
+    return stored[SiteRules.STORAGE_KEY];
+  }
+
+  static async save(rules) {
+    await chrome.storage.local.set({ [SiteRules.STORAGE_KEY]: rules });
+  }
+
+  static find(rules, url) {
+    // First match wins, so order rules from most to least specific
+    return rules.find(rule => SiteRules.matches(rule.match, url)) || null;
+  }
+
+  static matches(pattern, url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    if (pattern.includes('/')) {
+      // URL pattern; without a scheme it matches http and https alike
+      const target = /^[a-z]+:\/\//i.test(pattern) ? url : url.replace(/^[a-z]+:\/\//i, '');
+      const regex = new RegExp(`^${pattern.split('*').map(SiteRules.escapeRegExp).join('.*')}$`, 'i');
+      return regex.test(target);
+    }
+
+    const domain = pattern.replace(/^\*\./, '').toLowerCase();
+    const host = parsed.hostname.toLowerCase();
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  static parse(json) {
+    let rules;
+    try {
+      rules = JSON.parse(json);
+    } catch (error) {
+      return { rules: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    const errors = SiteRules.validate(rules);
+    return { rules: errors.length === 0 ? rules : null, errors };
+  }
+
+  static validate(rules) {
+    if (!Array.isArray(rules)) {
+      return ['Site rules must be a JSON array of rule objects'];
+    }
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+      const label = `Rule ${index + 1}${rule?.name ? ` ("${rule.name}")` : ''}`;
+
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+      if (typeof rule.match !== 'string' || !rule.match.trim()) {
+        errors.push(`${label}: "match" is required, e.g. "example.com" or "example.com/docs/*"`);
+      }
+
+      Object.entries(rule).forEach(([key, value]) => {
+        const type = SITE_RULE_FIELDS[key];
+        if (!type) {
+          errors.push(`${label}: unknown field "${key}"; use ${Object.keys(SITE_RULE_FIELDS).join(', ')}`);
+          return;
+        }
+
+        const error = SiteRules.checkField(key, type, value);
+        if (error) errors.push(`${label}: ${error}`);
+      });
+    });
+
+    return errors;
+  }
+
+  static checkField(key, type, value) {
+    switch (type) {
+      case 'boolean':
+        return typeof value === 'boolean' ? null : `"${key}" must be true or false`;
+
+      case 'selectors':
+        if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+          return `"${key}" must be a list of CSS selectors`;
+        }
+        return value.map(selector => SiteRules.checkSelector(key, selector)).find(Boolean) || null;
+
+      case 'patterns':
+        if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+          return `"${key}" must be a list of regular expressions`;
+        }
+        for (const pattern of value) {
+          try {
+            new RegExp(pattern, 'gm');
+          } catch (error) {
+            return `"${key}" has an invalid pattern: ${error.message}`;
+          }
+        }
+        return null;
+
+      default:
+        if (typeof value !== 'string') return `"${key}" must be a string`;
+        return ['content', 'title', 'author', 'published'].includes(key)
+          ? SiteRules.checkSelector(key, value)
+          : null;
+    }
+  }
+
+  static checkSelector(key, selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return null;
+    } catch (error) {
+      return `"${key}" has an invalid selector: ${selector}`;
+    }
+  }
+
+  static postProcessHtml(html, rule) {
+    if (!rule?.stripImages && !rule?.unwrapLinks) return html;
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    if (rule.stripImages) {
+      doc.body.querySelectorAll('img, picture, svg').forEach(element => element.remove());
+    }
+    if (rule.unwrapLinks) {
+      doc.body.querySelectorAll('a').forEach(link => link.replaceWith(...link.childNodes));
+    }
+    return doc.body.innerHTML;
+  }
+
+  static postProcessMarkdown(markdown, rule) {
+    if (!rule?.removePatterns?.length) return markdown;
+
+    return rule.removePatterns
+      .reduce((text, pattern) => text.replace(new RegExp(pattern, 'gm'), ''), markdown)
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
@@ -0,0 +1,295 @@
+// Template rendering for frontmatter and filenames
+// Shared by the background service (saving) and the options page (live preview)
+//
+// Syntax: {{variable}}, {{date:YYYY-MM}}, with optional filters: {{title|slug}},
+// {{author|default:Unknown}}
+
+class TemplateRenderer {
+  static VARIABLES = [
+    'title', 'url', 'canonical_url', 'domain', 'site_name', 'author', 'authors', 'description',
+    'excerpt', 'language', 'tags', 'published', 'timestamp', 'word_count', 'date'
+  ];
+
+  static FILTERS = ['default', 'lower', 'upper', 'slug'];
+
+  static PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+  // Only these are taken as dates; Date itself would also read 'March 5' or '3/4'
+  static ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+  static RFC_2822_DATE = /^(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun),\s*)?(\d{1,2})\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{4})\s+\d{2}:\d{2}(?::\d{2})?\s+(?:[+-]\d{4}|UT|GMT|[ECMP][SD]T|Z)$/;
+  static MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  constructor(data, now = new Date()) {
+    this.data = data;
+    this.now = now;
+  }
+
+  render(template, transform = value => value) {
+    return template.replace(TemplateRenderer.PATTERN, (match, expression) =>
+      transform(TemplateRenderer.toText(this.evaluate(expression))));
+  }
+
+  renderFilename(template) {
+    // Variables are sanitized individually so a "/" typed into the template still makes a subfolder
+    const path = this.render(template, value => TemplateRenderer.sanitizeFilenamePart(value))
+      .split('/')
+      // No stray separators or trailing dots around an empty variable
+      .map(segment => segment.trim().replace(/^[-.\s]+|[-.\s]+$/g, ''))
+      .filter(segment => segment.length > 0)
+      .join('/');
+
+    const filename = path || 'untitled';
+    return /\.md$/i.test(filename) ? filename : `${filename}.md`;
+  }
+
+  // extra: fields appended after the template's, e.g. chunk numbers for split captures
+  renderFrontmatter(template, extra = {}) {
+    const lines = [];
+
+    for (const { key, value } of TemplateRenderer.parseFrontmatterTemplate(template)) {
+      const expressions = value.match(TemplateRenderer.PATTERN) || [];
+
+      // Literal values are taken as YAML the user wrote
+      if (expressions.length === 0) {
+        lines.push(`${key}: ${value}`);
+        continue;
+      }
+
+      // A lone variable keeps its type (number, date, list); anything else is text
+      const single = value.match(/^\{\{\s*([^{}]*?)\s*\}\}$/);
+      const rendered = single ? this.evaluate(single[1]) : this.render(value);
+
+      // Fields the page has no value for are left out rather than written as "" or []
+      if (rendered === '' || rendered === null || rendered === undefined) continue;
+      if (Array.isArray(rendered) && rendered.length === 0) continue;
+
+      lines.push(YamlEmitter.field(key, rendered));
+    }
+
+    Object.entries(extra).forEach(([key, value]) => lines.push(YamlEmitter.field(key, value)));
+
+    return ['---', ...lines, '---', ''].join('\n');
+  }
+
+  evaluate(expression) {
+    const [reference, ...filters] = expression.split('|').map(part => part.trim());
+    const [name, ...args] = reference.split(':');
+    let value = this.lookup(name.trim(), args.join(':').trim());
+
+    for (const filter of filters) {
+      const [filterName, ...filterArgs] = filter.split(':');
+      value = this.applyFilter(filterName.trim(), filterArgs.join(':').trim(), value);
+    }
+
+    return value;
+  }
+
+  lookup(name, argument) {
+    const data = this.data;
+
+    switch (name) {
+      case 'title':
+        return data.title || '';
+      case 'url':
+        return data.url || '';
+      case 'canonical_url':
+        return data.canonicalUrl || '';
+      case 'domain':
+        return data.domain || '';
+      case 'site_name':
+        return data.siteName || '';
+      case 'author':
+        return data.author || '';
+      case 'authors':
+        return TemplateRenderer.splitAuthors(data.author || '');
+      case 'description':
+        return data.description || '';
+      case 'excerpt':
+        return data.excerpt || '';
+      case 'language':
+        return data.language || '';
+      case 'tags':
+        return data.keywords || [];
+      case 'published':
+        return TemplateRenderer.parseDate(data.published);
+      case 'timestamp':
+        return TemplateRenderer.parseDate(data.timestamp);
+      case 'word_count':
+        return typeof data.wordCount === 'number' ? data.wordCount : '';
+      case 'date':
+        return TemplateRenderer.formatDate(this.now, argument || 'YYYY-MM-DD');
+      default:
+        return '';
+    }
+  }
+
+  applyFilter(name, argument, value) {
+    if (name === 'default') {
+      const isEmpty = value === '' || (Array.isArray(value) && value.length === 0);
+      return isEmpty ? argument : value;
+    }
+
+    const text = TemplateRenderer.toText(value);
+    switch (name) {
+      case 'lower':
+        return text.toLowerCase();
+      case 'upper':
+        return text.toUpperCase();
+      case 'slug':
+        return text
+          .toLowerCase()
+          .replace(/[^\p{L}\p{N}]+/gu, '-')
+          .replace(/^-|-$/g, '');
+      default:
+        return value;
+    }
+  }
+
+  static toText(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value instanceof Date) return value.toISOString();
+    if (value === null || value === undefined) return '';
+    return String(value);
+  }
+
+  static parseDate(value) {
+    // ISO 8601 and RFC 2822 dates are written as YAML timestamps; anything else stays text
+    if (!value) return '';
+    const text = String(value).trim();
+    const iso = text.match(TemplateRenderer.ISO_DATE);
+    const rfc = text.match(TemplateRenderer.RFC_2822_DATE);
+    const [year, month, day] = iso
+      ? [Number(iso[1]), Number(iso[2]), Number(iso[3])]
+      : rfc ? [Number(rfc[3]), TemplateRenderer.MONTHS.indexOf(rfc[2]) + 1, Number(rfc[1])] : [];
+
+    // Date rolls 2024-02-30 over into March instead of rejecting it
+    const daysInMonth = year ? new Date(Date.UTC(year, month, 0)).getUTCDate() : 0;
+    if (!year || month < 1 || month > 12 || day < 1 || day > daysInMonth) return String(value);
+
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? String(value) : date;
+  }
+
+  static splitAuthors(author) {
+    return author
+      .split(/\s*(?:;|,|\s&\s|\sand\s)\s*/)
+      .map(name => name.trim())
+      .filter(name => name.length > 0);
+  }
+
+  static formatDate(date, format) {
+    const pad = value => String(value).padStart(2, '0');
+    const tokens = {
+      YYYY: String(date.getFullYear()),
+      YY: String(date.getFullYear()).slice(-2),
+      MM: pad(date.getMonth() + 1),
+      M: String(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      D: String(date.getDate()),
+      HH: pad(date.getHours()),
+      H: String(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds())
+    };
+
+    // [text] is emitted literally, like dayjs
+    return format.replace(/\[([^\]]*)\]|YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g, (match, literal) =>
+      literal !== undefined ? literal : tokens[match]);
+  }
+
+  static sanitizeFilenamePart(value) {
+    // Sanitize for filename - less aggressive
+    return value
+      .trim()
+      // Only replace truly problematic characters (including "/", which would start a folder)
+      .replace(/[<>:"/\\|?*\x00-\x1f]/g, '-')
+      // Replace multiple spaces with single space, then space with dash
+      .replace(/\s+/g, ' ')
+      .replace(/\s/g, '-')
+      // Remove multiple consecutive dashes
+      .replace(/-+/g, '-')
+      // Remove leading/trailing dashes
+      .replace(/^-|-$/g, '')
+      // Limit length but keep readable
+      .substring(0, 60);
+  }
+
+  static parseFrontmatterTemplate(template) {
+    // One "key: value" per line; blank lines and "#" comments are skipped
+    return template
+      .split('\n')
+      .map((line, index) => {
+        const separator = line.indexOf(':');
+        return {
+          line: index + 1,
+          key: separator === -1 ? line.trim() : line.slice(0, separator).trim(),
+          value: separator === -1 ? '' : line.slice(separator + 1).trim()
+        };
+      })
+      .filter(({ key }) => key && !key.startsWith('#'));
+  }
+
+  static validateTemplateExpressions(template) {
+    const errors = [];
+
+    for (const [, expression] of template.matchAll(TemplateRenderer.PATTERN)) {
+      const [reference, ...filters] = expression.split('|').map(part => part.trim());
+      const name = reference.split(':')[0].trim();
+
+      if (!TemplateRenderer.VARIABLES.includes(name)) {
+        errors.push(`Unknown variable "{{${expression}}}"`);
+      }
+
+      filters.forEach(filter => {
+        const filterName = filter.split(':')[0].trim();
+        if (!TemplateRenderer.FILTERS.includes(filterName)) {
+          errors.push(`Unknown filter "${filterName}" in "{{${expression}}}"`);
+        }
+      });
+    }
+
+    const unbalanced = template.replace(TemplateRenderer.PATTERN, '');
+    if (unbalanced.includes('{{') || unbalanced.includes('}}')) {
+      errors.push('Unbalanced "{{" or "}}"');
+    }
+
+    return errors;
+  }
+
+  static validateFrontmatterTemplate(template) {
+    const errors = TemplateRenderer.validateTemplateExpressions(template);
+    const keys = new Set();
+
+    TemplateRenderer.parseFrontmatterTemplate(template).forEach(({ line, key }) => {
+      if (!/^[A-Za-z_][\w-]*$/.test(key)) {
+        errors.push(`Line ${line}: "${key}" is not a valid key (use letters, numbers, "_" or "-")`);
+      } else if (keys.has(key)) {
+        errors.push(`Duplicate key "${key}"`);
+      }
+      keys.add(key);
+    });
+
+    return errors;
+  }
+
+  // root: what the path is relative to, for the error message (subfolders of the vault)
+  static validateFilenameTemplate(template, root = 'the Downloads folder') {
+    const errors = TemplateRenderer.validateTemplateExpressions(template);
+    const literal = template.replace(TemplateRenderer.PATTERN, '');
+
+    if (!template.trim()) {
+      errors.push('Filename template cannot be empty');
+    }
+    if (/[<>:"\\|?*\x00-\x1f]/.test(literal)) {
+      errors.push('Filename contains characters that are not allowed (< > : " \\ | ? *)');
+    }
+    if (template.trim().startsWith('/')) {
+      errors.push(`Filename must be relative to ${root}`);
+    }
+    if (template.split('/').some(segment => segment.trim() === '..' || segment.trim() === '.')) {
+      errors.push('Folders cannot contain "." or ".."');
+    }
+
+    return errors;
+  }
+}
@@ -0,0 +1,20 @@
+// Word and token counts for captured Markdown
+
+class TextStats {
+  static countWords(text) {
+    // Count words (split by whitespace, filter empty strings)
+    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  static estimateTokens(text) {
+    // Rough estimate for LLM tokenizers: about four characters per token for English prose,
+    // but never fewer than one token per word (code and URLs tokenize worse)
+    const byCharacters = Math.ceil(text.length / 4);
+    const byWords = TextStats.countWords(text);
+    return Math.max(byCharacters, byWords);
+  }
+
+  static format(number) {
+    return number.toLocaleString('en-US');
+  }
+}
@@ -0,0 +1,125 @@
+// Vault folder
+// Captures written straight into a folder on disk (an Obsidian vault, a repository's docs)
+// instead of Downloads. The folder is chosen on the options page with the File System Access
+// API and its handle kept in IndexedDB, where the background service worker finds it. Chrome
+// can take the access back after a restart and only a page may ask for it again, so writes
+// then fail with a pointer to the options page
+
+const VAULT_DB_NAME = 'vault-folder';
+const VAULT_DB_VERSION = 1;
+const VAULT_STORE = 'handles';
+const VAULT_HANDLE_KEY = 'root';
+
+class VaultFolder {
+  constructor() {
+    this.database = null;
+  }
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(VAULT_DB_NAME, VAULT_DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(VAULT_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let a later call retry instead of caching the failure
+      this.database.catch(() => {
+        this.database = null;
+      });
+    }
+    return this.database;
+  }
+
+  async getHandle() {
+    return (await this.run('readonly', store => store.get(VAULT_HANDLE_KEY))) || null;
+  }
+
+  async setHandle(handle) {
+    return this.run('readwrite', store => store.put(handle, VAULT_HANDLE_KEY));
+  }
+
+  async forget() {
+    return this.run('readwrite', store => store.delete(VAULT_HANDLE_KEY));
+  }
+
+  async root() {
+    const handle = await this.getHandle();
+    if (!handle) {
+      throw new Error('No vault folder chosen yet. Choose one on the options page.');
+    }
+    if (await handle.queryPermission({ mode: 'readwrite' }) !== 'granted') {
+      throw new Error(`Access to the vault folder "${handle.name}" has expired. Allow it again on the options page.`);
+    }
+    return handle;
+  }
+
+  async write(path, content, overwrite = false) {
+    // Returns the path written; a taken name gets "-2", "-3", ... unless overwriting
+    const segments = path.split('/');
+    const name = segments.pop();
+    const directory = await this.directory(segments, true);
+
+    let target = name;
+    for (let number = 2; !overwrite && await VaultFolder.exists(directory, target); number++) {
+      target = name.replace(/(\.md)?$/i, `-${number}$1`);
+    }
+
+    const file = await directory.getFileHandle(target, { create: true });
+    const writable = await file.createWritable();
+    await writable.write(content);
+    await writable.close();
+    return [...segments, target].join('/');
+  }
+
+  async append(path, text) {
+    // False when the note is no longer there (moved or deleted in the vault)
+    const segments = path.split('/');
+    const name = segments.pop();
+
+    let file;
+    try {
+      file = await (await this.directory(segments, false)).getFileHandle(name);
+    } catch (error) {
+      if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') return false;
+      throw error;
+    }
+
+    const { size } = await file.getFile();
+    const writable = await file.createWritable({ keepExistingData: true });
+    await writable.seek(size);
+    await writable.write(text);
+    await writable.close();
+    return true;
+  }
+
+  async directory(segments, create) {
+    let directory = await this.root();
+    for (const segment of segments) {
+      directory = await directory.getDirectoryHandle(segment, { create });
+    }
+    return directory;
+  }
+
+  async run(mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(database.transaction(VAULT_STORE, mode).objectStore(VAULT_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static async exists(directory, name) {
+    // A folder of the same name counts as taken too
+    try {
+      await directory.getFileHandle(name);
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFoundError') return false;
+      if (error.name === 'TypeMismatchError') return true;
+      throw error;
+    }
+  }
+}
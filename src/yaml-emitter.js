@@ -0,0 +1,90 @@
+// Minimal YAML emitter for frontmatter
+// Writes plain scalars only when they read back as the same string; everything else is
+// double-quoted, multi-line text becomes a literal block, arrays become block sequences
+
+class YamlEmitter {
+  static field(key, value) {
+    if (Array.isArray(value)) {
+      const items = value.filter(item => item !== '' && item !== null && item !== undefined);
+      if (items.length === 0) return `${key}: []`;
+
+      return [`${key}:`, ...items.map(item => `  - ${YamlEmitter.scalar(item, '    ')}`)].join('\n');
+    }
+
+    return `${key}: ${YamlEmitter.scalar(value, '  ')}`;
+  }
+
+  static scalar(value, indent = '  ') {
+    if (value === null || value === undefined) return 'null';
+    if (value instanceof Date) return isNaN(value.getTime()) ? 'null' : value.toISOString();
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') {
+      if (Number.isNaN(value)) return '.nan';
+      if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+      return String(value);
+    }
+
+    const text = String(value);
+    if (text.includes('\n') && YamlEmitter.canUseLiteralBlock(text)) {
+      return YamlEmitter.literalBlock(text, indent);
+    }
+
+    return YamlEmitter.isPlainSafe(text) ? text : YamlEmitter.doubleQuoted(text);
+  }
+
+  static isPlainSafe(text) {
+    if (!text || text !== text.trim()) return false;
+    // Control characters, tabs and line breaks
+    if (/[\x00-\x1f\x7f\u0085\u2028\u2029\ufeff]/.test(text)) return false;
+    // Leading indicator characters
+    if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(text)) return false;
+    // Mapping values and comments
+    if (/: |\s#|:$/.test(text)) return false;
+    // Values a YAML 1.1 or 1.2 parser would not read back as a string
+    if (/^(?:~|null|true|false|yes|no|on|off|y|n)$/i.test(text)) return false;
+    if (/^[-+]?(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?$/i.test(text)) return false;
+    if (/^[-+]?(?:0x[\da-f_]+|0o?[0-7_]+|0b[01_]+|\.inf|\.nan)$/i.test(text)) return false;
+    if (/^\d+(?::[0-5]?\d)+(?:\.\d*)?$/.test(text)) return false;
+    if (/^\d{4}-\d\d?-\d\d?/.test(text)) return false;
+
+    return true;
+  }
+
+  static canUseLiteralBlock(text) {
+    // Leading or whitespace-only lines would need explicit indentation indicators,
+    // and more than one trailing line break would need "keep" chomping
+    return !/[\x00-\x08\x0b-\x1f\x7f\u0085\u2028\u2029\ufeff]/.test(text) &&
+      !/^\s/.test(text) &&
+      !/^[ \t]+$/m.test(text) &&
+      !/\n\n$/.test(text);
+  }
+
+  static literalBlock(text, indent) {
+    // "|-" strips the final line break, "|" keeps exactly one
+    const chomping = text.endsWith('\n') ? '' : '-';
+    const body = text.replace(/\n$/, '').split('\n')
+      .map(line => (line ? indent + line : ''))
+      .join('\n');
+
+    return `|${chomping}\n${body}`;
+  }
+
+  static doubleQuoted(text) {
+    const escapes = {
+      '\\': '\\\\',
+      '"': '\\"',
+      '\0': '\\0',
+      '\t': '\\t',
+      '\n': '\\n',
+      '\r': '\\r',
+      '\u0085': '\\N',
+      '\u2028': '\\L',
+      '\u2029': '\\P'
+    };
+
+    const escaped = text.replace(/[\\"\x00-\x1f\x7f\u0085\u2028\u2029\ufeff]/g, char =>
+      escapes[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+    return `"${escaped}"`;
+  }
+}
@@ -0,0 +1,89 @@
+// Minimal zip archive writer for bundling a note with its images
+// Entries are stored uncompressed: images are already compressed and notes are small
+
+class ZipWriter {
+  constructor(date = new Date()) {
+    this.entries = [];
+    this.date = date;
+  }
+
+  add(name, data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    this.entries.push({ name: new TextEncoder().encode(name), bytes, crc: ZipWriter.crc32(bytes) });
+  }
+
+  toBlob() {
+    const { time, date } = ZipWriter.dosDateTime(this.date);
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    this.entries.forEach(entry => {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true); // Version needed to extract
+      local.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+      local.setUint16(8, 0, true); // Method: stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.bytes.length, true);
+      local.setUint32(22, entry.bytes.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory signature
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, entry.crc, true);
+      central.setUint32(20, entry.bytes.length, true);
+      central.setUint32(24, entry.bytes.length, true);
+      central.setUint16(28, entry.name.length, true);
+      central.setUint32(42, offset, true); // Offset of the local header
+
+      parts.push(local, entry.name, entry.bytes);
+      directory.push(central, entry.name);
+      offset += 30 + entry.name.length + entry.bytes.length;
+    });
+
+    const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  }
+
+  static dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  static crc32(bytes) {
+    if (!ZipWriter.crcTable) {
+      ZipWriter.crcTable = new Uint32Array(256).map((_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c;
+      });
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
@@ -0,0 +1,102 @@
+// The command-line pipeline against the extension's own
+// The extension side loads what offscreen.html loads (the document that extracts fetched
+// links), with Defuddle as shipped, into a jsdom whose selector engine skips comments the way
+// browsers do; both have to extract every fixture the same way
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { HeadlessPipeline } = require('../cli/headless');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+// The packages the extension's libs/ builds come from
+const LIBS = {
+  'libs/defuddle.js': require.resolve('defuddle'),
+  'libs/turndown.js': require.resolve('turndown/lib/turndown.browser.umd.js')
+};
+const RULES = [{
+  match: 'example.com',
+  content: 'article /* main text */',
+  remove: ['.ad /* sponsored */', 'nav']
+}];
+
+function loadExtension() {
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    runScripts: 'outside-only',
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+
+  [window.Element, window.Document, window.DocumentFragment].forEach(type => {
+    ['querySelector', 'querySelectorAll', 'matches', 'closest']
+      .filter(method => Object.hasOwn(type.prototype, method))
+      .forEach(method => {
+        const original = type.prototype[method];
+        type.prototype[method] = function (selectors, ...args) {
+          return original.call(this, selectors.replace(/\/\*[\s\S]*?\*\//g, ''), ...args);
+        };
+      });
+  });
+
+  // offscreen.js itself needs chrome.runtime; its extractHtml is repeated below
+  const html = fs.readFileSync(path.join(SRC_DIR, 'offscreen.html'), 'utf8');
+  const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+    .map(match => match[1])
+    .filter(src => src !== 'offscreen.js');
+  const context = dom.getInternalVMContext();
+  scripts.forEach(src => {
+    const file = LIBS[src] || path.join(SRC_DIR, src);
+    new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+  });
+
+  const [PageExtractor, SiteRules] = new vm.Script('[PageExtractor, SiteRules]').runInContext(context);
+  return {
+    extract(html, url, rules = []) {
+      const doc = PageExtractor.parseHtml(html, url);
+      return new PageExtractor(doc, url).extractPageContent(SiteRules.find(rules, url));
+    },
+    close: () => window.close()
+  };
+}
+
+// Results come from another realm; compared as plain data, without the time of extraction
+function plain(result) {
+  const { timestamp, ...data } = JSON.parse(JSON.stringify(result));
+  return data;
+}
+
+const extension = loadExtension();
+const cli = new HeadlessPipeline();
+const cliWithRules = new HeadlessPipeline({ rules: RULES });
+after(() => {
+  extension.close();
+  cli.close();
+  cliWithRules.close();
+});
+
+describe('CLI and extension extract the same', () => {
+  const fixtures = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.html')).sort();
+
+  for (const fixture of fixtures) {
+    test(fixture, () => {
+      const html = fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8');
+      const url = HeadlessPipeline.savedFromUrl(html);
+      assert.deepStrictEqual(plain(cli.extract(html, url)), plain(extension.extract(html, url)));
+    });
+  }
+
+  test('site rules with commented selectors', () => {
+    const html = `<!DOCTYPE html><html><head><title>Rules</title></head><body><nav>Menu</nav>
+      <article><h1>Rules</h1><p class="ad">Buy now.</p><p>Kept text.</p></article></body></html>`;
+    const url = 'https://example.com/rules';
+    const expected = plain(extension.extract(html, url, RULES));
+
+    assert.match(expected.markdown, /Kept text\./);
+    assert.doesNotMatch(expected.markdown, /Buy now|Menu/);
+    assert.deepStrictEqual(plain(cliWithRules.extract(html, url)), expected);
+  });
+});
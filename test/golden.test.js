@@ -0,0 +1,37 @@
+// Golden-file tests for the headless pipeline
+// Each fixture in fixtures/ is a page as saved by Chrome ("saved from" note included); it is
+// converted with a fixed capture time and compared with the .md snapshot next to it. Run
+// `npm run update-snapshots` to write the snapshots after an intended change, then review the diff
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { HeadlessPipeline } = require('../cli/headless');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const CAPTURE_TIME = '2025-03-14T12:00:00Z';
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+const pipeline = new HeadlessPipeline();
+after(() => pipeline.close());
+
+const fixtures = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.html')).sort();
+
+for (const fixture of fixtures) {
+  test(fixture, () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8');
+    const url = HeadlessPipeline.savedFromUrl(html);
+    assert.ok(url, `${fixture} has no "saved from" note`);
+
+    const { content } = pipeline.convert(html, url, CAPTURE_TIME);
+    const snapshot = path.join(FIXTURES_DIR, fixture.replace(/\.html$/, '.md'));
+
+    if (UPDATE) {
+      fs.writeFileSync(snapshot, content);
+      return;
+    }
+    assert.ok(fs.existsSync(snapshot), `No snapshot for ${fixture}; run npm run update-snapshots`);
+    assert.strictEqual(content, fs.readFileSync(snapshot, 'utf8'));
+  });
+}
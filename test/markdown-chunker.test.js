@@ -0,0 +1,39 @@
+// LLM profile cleanup of captured Markdown
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const { HeadlessPipeline } = require('../cli/headless');
+
+const pipeline = new HeadlessPipeline();
+const MarkdownChunker = pipeline.global('MarkdownChunker');
+after(() => pipeline.close());
+
+describe('MarkdownChunker.strip', () => {
+  test('links become their text and images go', () => {
+    const markdown = 'See [the docs](https://example.com/docs "Docs") and [![logo](/logo.png)](/).\n\n![Chart](/chart.png)\n\nEnd.';
+    assert.strictEqual(MarkdownChunker.strip(markdown, { stripImages: true, stripLinks: true }), 'See the docs and .\n\nEnd.');
+  });
+
+  test('code spans and blocks are left alone', () => {
+    const markdown = [
+      'Write `[c](d)` for a link and `![alt](src)` for an image, see [guide](/guide).',
+      '',
+      '```md',
+      '[a](b) ![x](y)',
+      '```'
+    ].join('\n');
+    const expected = [
+      'Write `[c](d)` for a link and `![alt](src)` for an image, see guide.',
+      '',
+      '```md',
+      '[a](b) ![x](y)',
+      '```'
+    ].join('\n');
+    assert.strictEqual(MarkdownChunker.strip(markdown, { stripImages: true, stripLinks: true }), expected);
+  });
+
+  test('a link around a code span keeps the span', () => {
+    assert.strictEqual(MarkdownChunker.strip('Call [`run()`](/api#run) first.', { stripImages: false, stripLinks: true }),
+      'Call `run()` first.');
+  });
+});
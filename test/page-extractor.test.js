@@ -0,0 +1,158 @@
+// PageExtractor through the whole pipeline (Defuddle, then Markdown), as pages are captured
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const { HeadlessPipeline } = require('../cli/headless');
+
+const pipeline = new HeadlessPipeline();
+after(() => pipeline.close());
+
+const URL = 'https://example.com/posts/sample';
+const FILLER = '<p>This paragraph is here so that the article has enough text to be recognised as the main content of the page by the extraction.</p>';
+
+function page(article, head = '') {
+  return `<!DOCTYPE html><html lang="en"><head><title>Sample</title>${head}</head>
+    <body><nav><a href="/">Home</a> <a href="/about">About</a></nav>
+    <article><h1>Sample</h1>${article}${FILLER}</article></body></html>`;
+}
+
+describe('metadata', () => {
+  test('site name comes from the page before Defuddle', () => {
+    const schema = '<script type="application/ld+json">{"@type": "Article", "publisher": {"name": "Jane Doe"}}</script>';
+    const html = page('<p>Text.</p>', `${schema}<meta property="og:site_name" content="Sample Site">`);
+    assert.strictEqual(pipeline.extract(html, URL).siteName, 'Sample Site');
+  });
+
+  test('the author is not taken for the site name', () => {
+    const html = page('<p>Text.</p>', '<meta name="author" content="Jane Doe">');
+    const result = pipeline.extract(html, URL);
+    assert.strictEqual(result.author, 'Jane Doe');
+    assert.strictEqual(result.siteName, '');
+  });
+
+  test('excerpt keeps block text apart', () => {
+    const html = page('<p>Something substantive.</p><ul><li>one <em>nested</em> item</li><li>two</li></ul>');
+    assert.match(pipeline.extract(html, URL).excerpt, /substantive\. one nested item two /);
+  });
+});
+
+describe('footnotes through Defuddle', () => {
+  test('pandoc, markdown-it and kramdown references become footnotes', () => {
+    const html = page(`<p>Pandoc.<sup id="fnref1"><a href="#fn1" class="footnote-ref" role="doc-noteref">1</a></sup>
+      Markdown-it.<sup class="footnote-ref"><a href="#fn2" id="fnref2">[2]</a></sup>
+      Kramdown.<sup id="fnref:3" role="doc-noteref"><a href="#fn3" class="footnote" rel="footnote">3</a></sup></p>
+      <section class="footnotes" role="doc-endnotes"><hr><ol>
+        <li id="fn1" role="doc-endnote"><p>Pandoc note.<a href="#fnref1" class="footnote-back" role="doc-backlink">↩︎</a></p></li>
+        <li id="fn2" class="footnote-item"><p>Markdown-it note. <a href="#fnref2" class="footnote-backref">↩︎</a></p></li>
+        <li id="fn3" role="doc-endnote"><p>Kramdown note. <a href="#fnref:3" class="reversefootnote" role="doc-backlink">↩</a></p></li>
+      </ol></section>`);
+    const { markdown } = pipeline.extract(html, URL);
+
+    assert.match(markdown, /Pandoc\.\[\^1\]\s+Markdown-it\.\[\^2\]\s+Kramdown\.\[\^3\]/);
+    assert.match(markdown, /\[\^1\]: Pandoc note\.\n\n\[\^2\]: Markdown-it note\.\n\n\[\^3\]: Kramdown note\.$/);
+    assert.doesNotMatch(markdown, /↩|#fn/);
+  });
+
+  test('a reference without an id keeps its note', () => {
+    const html = page(`<p>Claim.<sup><a href="#fn1">1</a></sup></p>
+      <div class="footnotes"><ol><li id="fn1"><p>The note.<a href="#fnref1">↩</a></p></li></ol></div>`);
+    const { markdown } = pipeline.extract(html, URL);
+
+    assert.match(markdown, /Claim\.\[\^1\]/);
+    assert.match(markdown, /\[\^1\]: The note\.$/);
+  });
+});
+
+describe('code blocks through Defuddle', () => {
+  test('languages come from the highlighter markup', () => {
+    const html = page(`<div class="highlight highlight-source-python"><pre><span class="pl-k">def</span> f(): <span class="pl-k">pass</span></pre></div>
+      <pre class="language-css line-numbers"><code class="language-css">a { color: red; }<span aria-hidden="true" class="line-numbers-rows"><span></span></span></code></pre>
+      <div class="highlight-ruby notranslate"><div class="highlight"><pre><span></span>puts 1</pre></div></div>`);
+    const { markdown } = pipeline.extract(html, URL);
+
+    assert.match(markdown, /```python\ndef f\(\): pass\n```/);
+    assert.match(markdown, /```css\na \{ color: red; \}\n```/);
+    assert.match(markdown, /```ruby\nputs 1\n```/);
+  });
+
+  test('line-number gutters are left out', () => {
+    const html = page(`<div class="highlight-python notranslate"><table class="highlighttable"><tr>
+      <td class="linenos"><div class="linenodiv"><pre><span class="normal">1</span>\n<span class="normal">2</span></pre></div></td>
+      <td class="code"><div class="highlight"><pre><span></span>x = 1\ny = 2\n</pre></div></td></tr></table></div>
+      <div class="highlight-js"><div class="highlight"><pre><span class="linenos">1</span>let a = 1;\n<span class="linenos">2</span>let b = 2;\n</pre></div></div>
+      <pre><code class="hljs language-go"><table class="hljs-ln"><tbody>${[
+        '<tr><td class="hljs-ln-numbers" data-line-number="1"><div class="hljs-ln-n" data-line-number="1"></div></td><td class="hljs-ln-code">package main</td></tr>',
+        '<tr><td class="hljs-ln-numbers" data-line-number="2"><div class="hljs-ln-n" data-line-number="2"></div></td><td class="hljs-ln-code">func main() {}</td></tr>'
+      ].join('')}</tbody></table></code></pre>`);
+    const { markdown } = pipeline.extract(html, URL);
+
+    // Three blocks, opened and closed
+    assert.strictEqual(markdown.match(/^```/gm).length, 6);
+    assert.match(markdown, /```python\nx = 1\ny = 2\n```/);
+    assert.match(markdown, /```js\nlet a = 1;\nlet b = 2;\n```/);
+    assert.match(markdown, /```go\npackage main\nfunc main\(\) \{\}\n```/);
+  });
+});
+
+describe('numbered lists through Defuddle', () => {
+  test('start values are kept', () => {
+    const html = page(`<p>Steps:</p><ol start="3"><li>Third</li><li>Fourth</li></ol>
+      <p>Then:</p><ol><li>First</li></ol>
+      <ol start="7"><li>Seventh<ol start="2"><li>nested second</li></ol></li></ol>`);
+    const { markdown } = pipeline.extract(html, URL);
+
+    assert.match(markdown, /^3\. Third\n4\. Fourth$/m);
+    assert.match(markdown, /^1\. First$/m);
+    assert.match(markdown, /^7\. Seventh\n {3}2\. nested second$/m);
+  });
+});
+
+describe('images through Defuddle', () => {
+  test('lazy images and <noscript> fallbacks are resolved first', () => {
+    const html = page(`<figure><img src="/spacer.gif" class="lazyload" alt="Chart"><noscript><img src="/img/chart.png" alt="Chart"></noscript>
+      <figcaption>Sales chart</figcaption></figure>
+      <p><img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" data-src="/img/photo.jpg" alt="Photo"></p>`);
+    const { markdown } = pipeline.extract(html, URL);
+
+    assert.match(markdown, /!\[Chart\]\(https:\/\/example\.com\/img\/chart\.png\)/);
+    assert.match(markdown, /!\[Photo\]\(https:\/\/example\.com\/img\/photo\.jpg\)/);
+    assert.doesNotMatch(markdown, /spacer|data:/);
+  });
+});
+
+describe('site rules', () => {
+  test('a selector that does not parse is skipped', () => {
+    const rules = [{ match: 'example.com', content: 'article', remove: ['nav[', '.ad'], author: 'span..byline' }];
+    const rulePipeline = new HeadlessPipeline({ rules });
+    after(() => rulePipeline.close());
+
+    const html = page('<p class="ad">Buy now.</p><p>Kept text.</p>');
+    const result = rulePipeline.extract(html, URL);
+
+    assert.match(result.markdown, /Kept text\./);
+    assert.doesNotMatch(result.markdown, /Buy now/);
+  });
+});
+
+describe('inline placeholder images', () => {
+  const ImageResolver = pipeline.global('ImageResolver');
+  const gif = (width, height) => {
+    const header = Buffer.from('GIF89a\0\0\0\0\0\0\0', 'latin1');
+    header.writeUInt16LE(width, 6);
+    header.writeUInt16LE(height, 8);
+    return `data:image/gif;base64,${header.toString('base64')}`;
+  };
+
+  test('1x1 GIFs and PNGs and empty SVGs are placeholders', () => {
+    assert.ok(ImageResolver.isPlaceholder(gif(1, 1)));
+    assert.ok(ImageResolver.isPlaceholder('data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII='));
+    assert.ok(ImageResolver.isPlaceholder('data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 800 600%22%3E%3C/svg%3E'));
+    assert.ok(ImageResolver.isPlaceholder(`data:image/svg+xml;base64,${Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="4" height="3"/>').toString('base64')}`));
+  });
+
+  test('short inline images that show something are kept', () => {
+    assert.ok(!ImageResolver.isPlaceholder(gif(16, 16)));
+    assert.ok(!ImageResolver.isPlaceholder('data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22%3E%3Ccircle r=%224%22/%3E%3C/svg%3E'));
+    assert.ok(!ImageResolver.isPlaceholder('data:image/png;base64,not-base64!'));
+  });
+});
@@ -0,0 +1,129 @@
+// Round-trip tests for frontmatter YAML
+// Every value YamlEmitter writes has to read back as the same value, with YAML 1.2 parsers
+// (yaml, js-yaml) and with YAML 1.1 ones (yaml in 1.1 mode), where yes/no/on/off are booleans
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const YAML = require('yaml');
+const jsYaml = require('js-yaml');
+
+// The extension's scripts share one global scope, as with <script> tags
+const context = vm.createContext({});
+['settings.js', 'yaml-emitter.js', 'template-renderer.js'].forEach(file => {
+  const filename = path.join(__dirname, '..', 'src', file);
+  new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+});
+const [YamlEmitter, TemplateRenderer, DEFAULT_SETTINGS] = vm.runInContext('[YamlEmitter, TemplateRenderer, DEFAULT_SETTINGS]', context);
+
+const PARSERS = {
+  'yaml': text => YAML.parse(text),
+  'yaml (1.1)': text => YAML.parse(text, { version: '1.1' }),
+  'js-yaml': text => jsYaml.load(text)
+};
+
+const CASES = {
+  quotes: ['He said "hi"', 'It\'s here', '\'single\'', '"double"', 'back\\slash'],
+  colons: ['Title: Subtitle', 'ends with:', 'a:b', ':leading', 'https://example.com/a?b=c#d', '12:30', '1:02:03'],
+  hashes: ['#hashtag', 'C# and F#', 'value #comment', 'a#b'],
+  indicators: [
+    '- item', '-dash', '--', '---', '? question', '?q', '@handle', '`code`', '!tag', '&anchor',
+    '*alias', '|pipe', '>fold', '%directive', '[x]', '{y}', ', comma', '...'
+  ],
+  keywords: [
+    'yes', 'no', 'Yes', 'NO', 'on', 'Off', 'y', 'n', 'true', 'False', 'null', 'Null', 'NULL', '~'
+  ],
+  numbers: [
+    '42', '-1.5', '+1', '.5', '1e3', '1_000', '0x1F', '0o17', '017', '0b101', '.inf', '-.Inf',
+    '.NaN', '2024-05-02', '2024-05-02T08:30:00Z', '1.2.3', 'v2'
+  ],
+  multiline: [
+    'line one\nline two', 'trailing break\n', 'two\n\nparagraphs', ' leading space\nsecond',
+    'ends with blank lines\n\n', 'tab\there', 'crlf\r\nline', 'indented\n  second'
+  ],
+  unicode: [
+    'Café – naïve', '日本語のタイトル', 'emoji 😀', 'zero\u200bwidth', '\ufeffbom', 'line\u2028separator',
+    'next\u0085line', 'bell\x07'
+  ],
+  empty: ['', ' ', '  padded  ', '\n', '\t']
+};
+
+const VALUES = [null, true, false, 0, 42, -0.5, 1e21, Infinity, -Infinity, NaN];
+
+describe('YamlEmitter round trip', () => {
+  for (const [name, parse] of Object.entries(PARSERS)) {
+    describe(name, () => {
+      for (const [group, strings] of Object.entries(CASES)) {
+        test(group, () => {
+          for (const value of strings) {
+            const yaml = YamlEmitter.field('value', value);
+            assert.deepStrictEqual(parse(yaml), { value }, `${JSON.stringify(value)} written as:\n${yaml}`);
+          }
+        });
+      }
+
+      test('non-string values', () => {
+        for (const value of VALUES) {
+          const yaml = YamlEmitter.field('value', value);
+          assert.deepStrictEqual(parse(yaml), { value }, `${value} written as:\n${yaml}`);
+        }
+      });
+
+      test('lists', () => {
+        const tags = Object.values(CASES).flat().filter(value => value !== '');
+        const yaml = YamlEmitter.field('tags', tags);
+        assert.deepStrictEqual(parse(yaml), { tags });
+        assert.deepStrictEqual(parse(YamlEmitter.field('tags', [])), { tags: [] });
+      });
+
+      test('frontmatter from the default template', () => {
+        const data = {
+          url: 'https://example.com/review',
+          title: 'Review: "Yes" or no? #1 @home',
+          description: 'no',
+          author: '~',
+          keywords: ['- dash', 'yes', '3.14', 'null', 'C#'],
+          timestamp: '2025-03-14T12:00:00.000Z',
+          wordCount: 42
+        };
+        const frontmatter = new TemplateRenderer(data).renderFrontmatter(DEFAULT_SETTINGS.frontmatterTemplate);
+        const parsed = parse(frontmatter.replace(/^---\n|---\n$/g, ''));
+
+        assert.strictEqual(parsed.title, data.title);
+        assert.strictEqual(parsed.description, 'no');
+        assert.strictEqual(parsed.author, '~');
+        assert.deepStrictEqual(parsed.tags, data.keywords);
+        assert.strictEqual(parsed.word_count, 42);
+        // A timestamp in YAML 1.1, a string in 1.2
+        assert.strictEqual(new Date(parsed.timestamp).toISOString(), data.timestamp);
+      });
+    });
+  }
+});
+
+describe('TemplateRenderer dates', () => {
+  const published = value => YAML.parse(new TemplateRenderer({ published: value }).renderFrontmatter('published: {{published}}')
+    .replace(/^---\n|---\n$/g, ''), { version: '1.1' }).published;
+
+  test('ISO 8601 and RFC 2822 dates become timestamps', () => {
+    assert.strictEqual(published('2024-03-05').toISOString(), '2024-03-05T00:00:00.000Z');
+    assert.strictEqual(published('2024-03-05T10:30:00+01:00').toISOString(), '2024-03-05T09:30:00.000Z');
+    assert.strictEqual(published('Tue, 05 Mar 2024 10:30:00 GMT').toISOString(), '2024-03-05T10:30:00.000Z');
+  });
+
+  test('other text Date would accept stays a string', () => {
+    for (const value of ['March 5', '3/4', '2024', 'Spring 2024', '2024-02-30', '5 March 2024']) {
+      assert.strictEqual(published(value), value);
+    }
+  });
+});
+
+describe('TemplateRenderer empty fields', () => {
+  test('missing values and empty lists are left out', () => {
+    const data = { url: 'https://example.com/', title: 'Home', description: '', keywords: [] };
+    const frontmatter = new TemplateRenderer(data).renderFrontmatter('title: {{title}}\ndescription: {{description}}\ntags: {{tags}}\nauthor: {{author}}');
+    assert.strictEqual(frontmatter, '---\ntitle: Home\n---\n');
+  });
+});